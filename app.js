@@ -6,12 +6,29 @@ class MealPlanningApp {
         this.isLoading = false;
         this.lastLoadDate = null;
         this.currentUser = null;
+        this.pendingRatings = []; // Ratings chosen in the rating modal for the meal being completed
     }
 
     async init() {
         try {
             this.showLoading('Initializing app...');
             
+            if (sheetsAPI.isLocal) {
+                // Device-only mode needs neither Google nor Home Secrets
+                await sheetsAPI.initialize();
+                this.setupEventListeners();
+                this.hideLoading();
+                await this.handleSignedInUser();
+                
+                if (!await offlineStore.isPersistent()) {
+                    this.showError(
+                        'This browser isn\'t letting the app save data (private browsing?), so anything ' +
+                        'you change here will be lost when the page closes. Use a regular window or Google Sheets.'
+                    );
+                }
+                return;
+            }
+            
             // Check if gapi is loaded
             if (typeof gapi === 'undefined') {
                 throw new Error('Google API library not loaded. Please check your internet connection.');
@@ -96,13 +113,14 @@ class MealPlanningApp {
             };
             
             // Set up token refresh monitoring if stay logged in is enabled
-            if (StorageHelper.loadStayLoggedInPreference()) {
+            if (!sheetsAPI.isLocal && StorageHelper.loadStayLoggedInPreference()) {
                 sheetsAPI.setupTokenRefresh();
                 this.showSilentAuthIndicator();
             }
             
             // Show main content and hide auth section
             this.showMainContent();
+            this.updateStorageModeControls();
             
             // Check or create spreadsheet with better progress updates
             this.showLoading('Checking for existing meal planner spreadsheet...');
@@ -114,9 +132,26 @@ class MealPlanningApp {
                 return;
             }
             
-            // Test the connection
-            this.showLoading('Verifying spreadsheet access...');
-            await sheetsAPI.testConnection();
+            if (sheetsAPI.isOffline()) {
+                // Work from the offline cache until the connection comes back
+                console.log('Starting offline - using cached sheets');
+            } else {
+                // Test the connection
+                this.showLoading('Verifying spreadsheet access...');
+                await sheetsAPI.testConnection();
+                
+                // Older spreadsheets may predate sheets like plan
+                await sheetsAPI.ensureSheetsExist();
+                
+                // Send anything queued in an earlier session, then cache every sheet for offline use
+                this.showLoading('Syncing offline changes...');
+                await this.syncPendingWrites();
+                
+                // Upgrade spreadsheets made by older versions of the app before anything reads them
+                await this.runMigrations();
+                await sheetsAPI.cacheAllSheets();
+            }
+            await offlineStore.notifyQueueChange();
             
             // Update date display
             this.updateDateDisplay();
@@ -132,6 +167,12 @@ class MealPlanningApp {
             this.hideLoading();
             this.hideSetupSection();
             
+            // Pick up what other family members change while this page is open
+            changeWatcher.start(
+                changedSheets => this.applyRemoteChanges(changedSheets),
+                () => this.canApplyRemoteChanges()
+            );
+            
         } catch (error) {
             console.error('Error handling signed in user:', error);
             
@@ -151,6 +192,7 @@ class MealPlanningApp {
         document.getElementById('signInBtn').addEventListener('click', () => this.signIn());
         document.getElementById('signOutBtn').addEventListener('click', () => this.signOut());
         document.getElementById('authRefreshBtn').addEventListener('click', () => window.location.reload());
+        document.getElementById('useLocalAuthBtn').addEventListener('click', () => this.useLocalStorage());
         
         // Stay logged in checkbox
         document.getElementById('stayLoggedInCheckbox').addEventListener('change', (e) => {
@@ -179,30 +221,113 @@ class MealPlanningApp {
         // Refresh functionality
         document.getElementById('refreshBtn').addEventListener('click', () => window.location.reload());
         
+        // Weekly planning
+        document.getElementById('planWeekBtn').addEventListener('click', () => this.planWeek());
+        
+        // Week view
+        document.getElementById('weekViewBtn').addEventListener('click', () => weekView.open());
+        document.getElementById('closeWeekBtn').addEventListener('click', () => weekView.close());
+        document.getElementById('thisWeekBtn').addEventListener('click', () => weekView.goToThisWeek());
+        document.getElementById('prevWeek').addEventListener('click', () => weekView.previousWeek());
+        document.getElementById('nextWeek').addEventListener('click', () => weekView.nextWeek());
+        
+        // Grocery list
+        document.getElementById('groceryBtn').addEventListener('click', () => groceryView.open());
+        document.getElementById('closeGroceryBtn').addEventListener('click', () => groceryView.close());
+        document.getElementById('restockBtn').addEventListener('click', () => groceryView.restock());
+        document.getElementById('groceryAddForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            groceryView.addFromInput();
+        });
+        
+        // Meal history
+        document.getElementById('historyBtn').addEventListener('click', () => historyView.open());
+        document.getElementById('closeHistoryBtn').addEventListener('click', () => historyView.close());
+        document.getElementById('historyShowAllBtn').addEventListener('click', () => historyView.clearSelectedDate());
+        document.getElementById('historyPrevMonth').addEventListener('click', () => historyView.previousMonth());
+        document.getElementById('historyNextMonth').addEventListener('click', () => historyView.nextMonth());
+        document.getElementById('historyItemFilter').addEventListener('input', () => historyView.applyFilters());
+        document.getElementById('historyCategoryFilter').addEventListener('change', () => historyView.applyFilters());
+        
+        // Stats
+        document.getElementById('statsBtn').addEventListener('click', () => statsView.open());
+        document.getElementById('closeStatsBtn').addEventListener('click', () => statsView.close());
+        
+        // Spreadsheet check
+        document.getElementById('openSchemaCheckBtn').addEventListener('click', () => {
+            this.closeSettingsModal();
+            schemaView.open();
+        });
+        document.getElementById('recheckSchemaBtn').addEventListener('click', () => schemaView.render());
+        document.getElementById('repairSchemaBtn').addEventListener('click', () => schemaView.repair());
+        document.getElementById('closeSchemaBtn').addEventListener('click', () => schemaView.close());
+        
+        // Schedule editor
+        document.getElementById('scheduleBtn').addEventListener('click', () => scheduleView.open());
+        document.getElementById('closeScheduleBtn').addEventListener('click', () => scheduleView.close());
+        document.getElementById('addScheduleRowBtn').addEventListener('click', () => scheduleView.addRow());
+        document.getElementById('saveScheduleBtn').addEventListener('click', () => scheduleView.save());
+        
+        // Item library
+        document.getElementById('itemLibraryBtn').addEventListener('click', () => itemLibraryView.open());
+        document.getElementById('closeLibraryBtn').addEventListener('click', () => itemLibraryView.close());
+        document.getElementById('newItemBtn').addEventListener('click', () => itemLibraryView.openEditor());
+        document.getElementById('librarySearchInput').addEventListener('input', () => itemLibraryView.renderList());
+        document.getElementById('libraryCategoryFilter').addEventListener('change', () => itemLibraryView.renderList());
+        document.getElementById('librarySelectAll').addEventListener('change', (e) => itemLibraryView.toggleSelectAll(e.target.checked));
+        document.getElementById('libraryAddTagBtn').addEventListener('click', () => itemLibraryView.bulkAddTag());
+        document.getElementById('libraryRemoveTagBtn').addEventListener('click', () => itemLibraryView.bulkRemoveTag());
+        document.getElementById('libraryAddCategoryBtn').addEventListener('click', () => itemLibraryView.bulkSetCategory(true));
+        document.getElementById('libraryRemoveCategoryBtn').addEventListener('click', () => itemLibraryView.bulkSetCategory(false));
+        document.getElementById('libraryDeleteBtn').addEventListener('click', () => itemLibraryView.bulkDelete());
+        document.getElementById('itemEditorDeleteBtn').addEventListener('click', () => itemLibraryView.deleteFromEditor());
+        document.getElementById('itemEditorForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            itemLibraryView.saveEditor();
+        });
+        
         // Setup event listeners
         document.getElementById('createNewBtn').addEventListener('click', () => this.createNewSpreadsheet());
         document.getElementById('useExistingBtn').addEventListener('click', () => this.useExistingSpreadsheet());
+        document.getElementById('useLocalSetupBtn').addEventListener('click', () => this.useLocalStorage());
         
         // Share functionality
         document.getElementById('shareBtn').addEventListener('click', () => this.openShareModal());
         document.getElementById('copyLinkBtn').addEventListener('click', () => this.copyShareLink());
         
+        // Profile switcher
+        document.getElementById('profileSelect').addEventListener('change', (e) => this.switchProfile(e.target.value));
+        
+        // Settings functionality
+        document.getElementById('settingsBtn').addEventListener('click', () => this.openSettingsModal());
+        document.getElementById('saveSettingsBtn').addEventListener('click', () => this.saveSettings());
+        
+        // Food acceptance functionality
+        document.getElementById('acceptanceBtn').addEventListener('click', () => this.openAcceptanceModal());
+        document.getElementById('confirmRatingBtn').addEventListener('click', () => this.confirmRating());
+        
         // Navigation arrows
         document.getElementById('prevMeal').addEventListener('click', () => this.previousMeal());
         document.getElementById('nextMeal').addEventListener('click', () => this.nextMeal());
         
         // Action buttons
-        document.getElementById('completeMeal').addEventListener('click', () => this.completeMeal());
+        document.getElementById('completeMeal').addEventListener('click', () => this.openRatingModal());
         document.getElementById('skipMeal').addEventListener('click', () => this.skipMeal());
         
         // Window focus event to check for new day
         window.addEventListener('focus', () => this.checkAndHandleNewDay());
         
-        // Clean up token refresh interval on page unload
+        // Offline changes are queued; replay them as soon as the connection is back
+        offlineStore.onQueueChange(pendingCount => this.updateSyncIndicator(pendingCount));
+        window.addEventListener('online', () => this.syncPendingWrites());
+        window.addEventListener('offline', () => offlineStore.notifyQueueChange());
+        
+        // Clean up token refresh and change polling intervals on page unload
         window.addEventListener('beforeunload', () => {
             if (sheetsAPI) {
                 sheetsAPI.clearTokenRefresh();
             }
+            changeWatcher.stop();
         });
         
         // Keyboard events
@@ -211,11 +336,23 @@ class MealPlanningApp {
             if (e.key === 'Escape') {
                 const categoryModal = document.getElementById('categoryModal');
                 const shareModal = document.getElementById('shareModal');
+                const settingsModal = document.getElementById('settingsModal');
+                const ratingModal = document.getElementById('ratingModal');
+                const acceptanceModal = document.getElementById('acceptanceModal');
+                const itemEditorModal = document.getElementById('itemEditorModal');
                 
                 if (categoryModal && categoryModal.style.display !== 'none') {
                     this.closeCategoryModal();
                 } else if (shareModal && shareModal.style.display !== 'none') {
                     this.closeShareModal();
+                } else if (settingsModal && settingsModal.style.display !== 'none') {
+                    this.closeSettingsModal();
+                } else if (ratingModal && ratingModal.style.display !== 'none') {
+                    this.closeRatingModal();
+                } else if (acceptanceModal && acceptanceModal.style.display !== 'none') {
+                    this.closeAcceptanceModal();
+                } else if (itemEditorModal && itemEditorModal.style.display !== 'none') {
+                    itemLibraryView.closeEditor();
                 }
             }
         });
@@ -232,6 +369,30 @@ class MealPlanningApp {
                 this.closeShareModal();
             }
         });
+        
+        document.getElementById('settingsModal').addEventListener('click', (e) => {
+            if (e.target.id === 'settingsModal') {
+                this.closeSettingsModal();
+            }
+        });
+        
+        document.getElementById('ratingModal').addEventListener('click', (e) => {
+            if (e.target.id === 'ratingModal') {
+                this.closeRatingModal();
+            }
+        });
+        
+        document.getElementById('acceptanceModal').addEventListener('click', (e) => {
+            if (e.target.id === 'acceptanceModal') {
+                this.closeAcceptanceModal();
+            }
+        });
+        
+        document.getElementById('itemEditorModal').addEventListener('click', (e) => {
+            if (e.target.id === 'itemEditorModal') {
+                itemLibraryView.closeEditor();
+            }
+        });
     }
 
     initializeStayLoggedInCheckbox() {
@@ -264,10 +425,65 @@ class MealPlanningApp {
         }
     }
 
+    /**
+     * Switch to keeping all data in this browser, for people without Google OAuth set up.
+     * Refused when the browser can't keep it (see OfflineStore.isPersistent).
+     */
+    async useLocalStorage() {
+        if (!await offlineStore.isPersistent()) {
+            this.showError(
+                'This browser can\'t save data on this device (private browsing?), so it would all be lost ' +
+                'when the page closes. Open the app in a regular window, or use Google Sheets.'
+            );
+            return;
+        }
+        
+        const confirmed = confirm(
+            'Meals and items will be kept only in this browser on this device. ' +
+            'They won\'t sync to other devices or family members. Continue?'
+        );
+        
+        if (!confirmed) {
+            return;
+        }
+        
+        StorageHelper.saveStorageBackend(CONFIG.STORAGE_BACKENDS.LOCAL);
+        window.location.reload();
+    }
+
+    /**
+     * Sharing and sign-in don't apply to device-only data
+     */
+    updateStorageModeControls() {
+        if (!sheetsAPI.isLocal) return;
+        
+        document.getElementById('shareBtn').style.display = 'none';
+        
+        const signOutBtn = document.getElementById('signOutBtn');
+        signOutBtn.textContent = 'Use Google Sheets';
+        signOutBtn.title = 'Switch to a shared Google spreadsheet';
+        
+        const resetBtn = document.getElementById('resetDataBtn');
+        resetBtn.title = 'Start over with sample data';
+    }
+
     async signOut() {
+        if (sheetsAPI.isLocal) {
+            const confirmed = confirm(
+                'Switch to Google Sheets? The data on this device stays here in case you switch back.'
+            );
+            if (confirmed) {
+                StorageHelper.saveStorageBackend(CONFIG.STORAGE_BACKENDS.GOOGLE);
+                window.location.reload();
+            }
+            return;
+        }
+        
         try {
             await sheetsAPI.signOut();
             this.currentUser = null;
+            undoManager.clear();
+            changeWatcher.stop();
             
             // Hide token refresh indicator
             this.hideSilentAuthIndicator();
@@ -282,7 +498,9 @@ class MealPlanningApp {
     }
 
     async resetData() {
-        const confirmed = confirm(
+        const confirmed = confirm(sheetsAPI.isLocal ?
+            'This will delete all meal planning data stored on this device and start over with sample data. ' +
+            'Are you sure you want to continue?' :
             'This will clear your current spreadsheet data and create a new spreadsheet. ' +
             'Your existing spreadsheet will not be deleted, but you\'ll start fresh. ' +
             'Are you sure you want to continue?'
@@ -295,9 +513,11 @@ class MealPlanningApp {
         try {
             this.showLoading('Creating new spreadsheet...');
             
-            // Clear stored spreadsheet information
-            StorageHelper.clearSpreadsheetId();
-            CONFIG.SPREADSHEET_ID = null;
+            // Clear stored spreadsheet information (device-only data has no spreadsheet to forget)
+            if (!sheetsAPI.isLocal) {
+                StorageHelper.clearSpreadsheetId();
+                CONFIG.SPREADSHEET_ID = null;
+            }
             
             // Create a new spreadsheet
             await this.createNewSpreadsheet();
@@ -317,7 +537,9 @@ class MealPlanningApp {
             console.log('Created spreadsheet:', spreadsheetId);
             
             // Save the spreadsheet ID to local storage
-            StorageHelper.saveSpreadsheetId(spreadsheetId);
+            if (!sheetsAPI.isLocal) {
+                StorageHelper.saveSpreadsheetId(spreadsheetId);
+            }
             
             this.showSetupStatus('Spreadsheet created successfully!', true);
             
@@ -401,6 +623,246 @@ class MealPlanningApp {
         }, 300);
     }
 
+    async openSettingsModal() {
+        try {
+            this.showLoading('Loading settings...');
+            
+            // Make sure we show what's currently in the sheet
+            await mealGenerator.loadData();
+            
+            const profile = mealGenerator.activeProfile;
+            const profileSettings = mealGenerator.settings[profile] || {};
+            const sharedSettings = mealGenerator.settings[''] || {};
+            
+            document.getElementById('profilesInput').value = mealGenerator.profiles.join(', ');
+            document.getElementById('shareSiblingMealsCheckbox').checked = 
+                sharedSettings[CONFIG.SETTING_KEYS.SHARE_SIBLING_MEALS] === 'y';
+            document.getElementById('cooldownDaysInput').value = 
+                sharedSettings[CONFIG.SETTING_KEYS.COOLDOWN_DAYS] || '';
+            document.getElementById('dailyPrepBudgetInput').value = 
+                sharedSettings[CONFIG.SETTING_KEYS.DAILY_PREP_BUDGET] || '';
+            
+            // Exclusions are edited for the active profile; shared ones still apply on top
+            document.getElementById('exclusionsProfileLabel').textContent = profile ? ` for ${profile}` : '';
+            document.getElementById('excludedAllergensInput').value = 
+                profileSettings[CONFIG.SETTING_KEYS.EXCLUDED_ALLERGENS] || '';
+            document.getElementById('excludedItemsInput').value = 
+                profileSettings[CONFIG.SETTING_KEYS.EXCLUDED_ITEMS] || '';
+            
+            const sharedHint = document.getElementById('sharedExclusionsHint');
+            const sharedExclusions = profile ? [
+                ...parseListCell(sharedSettings[CONFIG.SETTING_KEYS.EXCLUDED_ALLERGENS]),
+                ...parseListCell(sharedSettings[CONFIG.SETTING_KEYS.EXCLUDED_ITEMS])
+            ] : [];
+            sharedHint.textContent = sharedExclusions.length > 0 ? 
+                `Also excluded for everyone: ${sharedExclusions.join(', ')}` : '';
+            
+            // Targets are edited for the active profile too, as "Name: amount" pairs
+            document.getElementById('targetsProfileLabel').textContent = profile ? ` for ${profile}` : '';
+            document.getElementById('dailyTargetsInput').value = Object.keys(profileSettings)
+                .filter(key => key.startsWith(CONFIG.DAILY_TARGET_PREFIX) && profileSettings[key])
+                .map(key => `${key.slice(CONFIG.DAILY_TARGET_PREFIX.length)}: ${profileSettings[key]}`)
+                .join(', ');
+            
+            const modal = document.getElementById('settingsModal');
+            modal.style.display = 'flex';
+            
+            // Trigger animation
+            setTimeout(() => {
+                modal.classList.add('show');
+            }, 10);
+            
+            this.hideLoading();
+        } catch (error) {
+            console.error('Error opening settings:', error);
+            this.showError('Failed to load settings.');
+            this.hideLoading();
+        }
+    }
+
+    closeSettingsModal() {
+        const modal = document.getElementById('settingsModal');
+        modal.classList.remove('show');
+        
+        setTimeout(() => {
+            modal.style.display = 'none';
+        }, 300);
+    }
+
+    async saveSettings() {
+        try {
+            // Normalize the comma-separated lists before saving
+            const excludedAllergens = parseListCell(document.getElementById('excludedAllergensInput').value).join(', ');
+            const excludedItems = parseListCell(document.getElementById('excludedItemsInput').value).join(', ');
+            const profiles = parseListCell(document.getElementById('profilesInput').value);
+            const shareSiblingMeals = document.getElementById('shareSiblingMealsCheckbox').checked ? 'y' : '';
+            const cooldownDaysValue = document.getElementById('cooldownDaysInput').value.trim();
+            const dailyPrepBudgetValue = document.getElementById('dailyPrepBudgetInput').value.trim();
+            const profile = mealGenerator.activeProfile;
+            
+            const dailyTargets = {};
+            for (const entry of parseListCell(document.getElementById('dailyTargetsInput').value)) {
+                const separatorIndex = entry.lastIndexOf(':');
+                const name = entry.slice(0, separatorIndex).trim();
+                const amount = parseFloat(entry.slice(separatorIndex + 1));
+                if (separatorIndex === -1 || !name || !(amount > 0)) {
+                    this.showError(`Daily target "${entry}" should look like "Iron-rich: 2".`);
+                    return;
+                }
+                dailyTargets[CONFIG.DAILY_TARGET_PREFIX + name] = String(amount);
+            }
+            
+            const cooldownDays = parseInt(cooldownDaysValue, 10);
+            if (cooldownDaysValue && !(cooldownDays >= 0)) {
+                this.showError('Cooldown days should be a whole number, or empty for none.');
+                return;
+            }
+            
+            const dailyPrepBudget = parseInt(dailyPrepBudgetValue, 10);
+            if (dailyPrepBudgetValue && !(dailyPrepBudget >= 0)) {
+                this.showError('The daily prep budget should be a number of minutes, or empty for none.');
+                return;
+            }
+            
+            this.showLoading('Saving settings...');
+            
+            await sheetsAPI.saveSetting(CONFIG.SETTING_KEYS.EXCLUDED_ALLERGENS, excludedAllergens, profile);
+            await sheetsAPI.saveSetting(CONFIG.SETTING_KEYS.EXCLUDED_ITEMS, excludedItems, profile);
+            await sheetsAPI.saveSetting(CONFIG.SETTING_KEYS.SHARE_SIBLING_MEALS, shareSiblingMeals);
+            await sheetsAPI.saveSetting(CONFIG.SETTING_KEYS.COOLDOWN_DAYS, cooldownDaysValue ? String(cooldownDays) : '');
+            await sheetsAPI.saveSetting(CONFIG.SETTING_KEYS.DAILY_PREP_BUDGET, dailyPrepBudgetValue ? String(dailyPrepBudget) : '');
+            
+            // Clear targets that were removed, then save the rest
+            const profileSettings = mealGenerator.settings[profile] || {};
+            for (const key of Object.keys(profileSettings)) {
+                if (key.startsWith(CONFIG.DAILY_TARGET_PREFIX) && profileSettings[key] && !dailyTargets[key]) {
+                    await sheetsAPI.saveSetting(key, '', profile);
+                }
+            }
+            for (const [key, amount] of Object.entries(dailyTargets)) {
+                await sheetsAPI.saveSetting(key, amount, profile);
+            }
+            
+            const profilesChanged = profiles.join(',') !== mealGenerator.profiles.join(',');
+            if (profilesChanged) {
+                await sheetsAPI.saveProfiles(profiles);
+            }
+            
+            await mealGenerator.loadData();
+            
+            this.closeSettingsModal();
+            this.hideLoading();
+            
+            if (profilesChanged) {
+                // The active profile may have been added or removed
+                await this.loadMeals();
+                await weekView.refreshIfOpen();
+            } else if (this.meals.length > 0) {
+                // Re-render so excluded items already in today's meals get flagged and targets update
+                this.updateUI();
+            }
+            this.showTemporaryMessage('Settings saved');
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            this.hideLoading();
+            
+            if (error.message && error.message.includes('Authentication required')) {
+                this.handleAuthError(error);
+            } else {
+                this.showError('Failed to save settings. Please try again.');
+            }
+        }
+    }
+
+    async openAcceptanceModal() {
+        try {
+            this.showLoading('Loading ratings...');
+            
+            // Ratings come from history, so reload to include other devices' completions
+            await mealGenerator.loadData();
+            
+            const profile = mealGenerator.activeProfile;
+            const acceptance = mealGenerator.getAcceptance(profile);
+            document.getElementById('acceptanceProfileLabel').textContent = profile ? ` - ${profile}` : '';
+            
+            const list = document.getElementById('acceptanceList');
+            list.innerHTML = '';
+            
+            // Most refused first so problem foods are easy to spot
+            const itemNames = Object.keys(acceptance)
+                .filter(itemName => acceptance[itemName].rated > 0)
+                .sort((a, b) => 
+                    mealGenerator.getAcceptanceRate(acceptance[a]) - mealGenerator.getAcceptanceRate(acceptance[b]) ||
+                    a.localeCompare(b)
+                );
+            
+            if (itemNames.length === 0) {
+                list.innerHTML = '<p class="acceptance-empty">No ratings yet. Rate foods when completing a meal.</p>';
+            }
+            
+            itemNames.forEach(itemName => {
+                const entry = acceptance[itemName];
+                const item = mealGenerator.items.find(candidate => candidate.Item === itemName) || { Item: itemName };
+                
+                const row = document.createElement('div');
+                row.className = 'acceptance-row';
+                
+                const header = document.createElement('div');
+                header.className = 'acceptance-row-header';
+                const name = document.createElement('span');
+                name.textContent = itemName;
+                const rate = document.createElement('span');
+                rate.textContent = `${Math.round(mealGenerator.getAcceptanceRate(entry) * 100)}%`;
+                header.appendChild(name);
+                header.appendChild(rate);
+                
+                const counts = document.createElement('div');
+                counts.className = 'acceptance-counts';
+                counts.textContent = `${CONFIG.RATINGS.map(option => `${option.label}: ${entry[option.value]}`).join(' · ')} · Last rated ${entry.lastRated}`;
+                
+                row.appendChild(header);
+                row.appendChild(counts);
+                
+                if (mealGenerator.getAcceptanceFactor(item, acceptance) < 1) {
+                    const heldBack = document.createElement('div');
+                    heldBack.className = 'acceptance-held-back';
+                    heldBack.textContent = `Offered less often for now - back to normal ${MealGenerator.REEXPOSURE_DAYS} days after it was last served`;
+                    row.appendChild(heldBack);
+                }
+                
+                list.appendChild(row);
+            });
+            
+            const modal = document.getElementById('acceptanceModal');
+            modal.style.display = 'flex';
+            
+            // Trigger animation
+            setTimeout(() => {
+                modal.classList.add('show');
+            }, 10);
+            
+            this.hideLoading();
+        } catch (error) {
+            console.error('Error opening food acceptance:', error);
+            this.hideLoading();
+            
+            if (error.message && error.message.includes('Authentication required')) {
+                this.handleAuthError(error);
+            } else {
+                this.showError('Failed to load food ratings.');
+            }
+        }
+    }
+
+    closeAcceptanceModal() {
+        const modal = document.getElementById('acceptanceModal');
+        modal.classList.remove('show');
+        
+        setTimeout(() => {
+            modal.style.display = 'none';
+        }, 300);
+    }
+
     async copyShareLink() {
         try {
             const shareLink = document.getElementById('shareLink');
@@ -456,6 +918,14 @@ class MealPlanningApp {
         document.getElementById('setupSection').style.display = 'none';
     }
 
+    showView(viewId) {
+        // Switch between the views inside the main content (today's card, week grid, ...)
+        document.querySelectorAll('.app-view').forEach(view => {
+            view.style.display = 'none';
+        });
+        document.getElementById(viewId).style.display = '';
+    }
+
     showAuthStatus(message, isSuccess) {
         const statusElement = document.getElementById('authStatus');
         statusElement.textContent = message;
@@ -491,6 +961,140 @@ class MealPlanningApp {
         document.getElementById('dateDisplay').textContent = today.toLocaleDateString('en-US', options);
     }
 
+    updateSyncIndicator(pendingCount) {
+        const indicator = document.getElementById('syncIndicator');
+        const text = document.getElementById('syncIndicatorText');
+        const offline = sheetsAPI.isOffline();
+        
+        if (pendingCount === 0 && !offline) {
+            indicator.style.display = 'none';
+            return;
+        }
+        
+        const pendingText = `${pendingCount} change${pendingCount === 1 ? '' : 's'} pending sync`;
+        if (offline) {
+            text.textContent = pendingCount > 0 ? `Offline - ${pendingText}` : 'Offline';
+        } else {
+            text.textContent = pendingText;
+        }
+        
+        indicator.classList.toggle('offline', offline);
+        indicator.style.display = 'flex';
+    }
+
+    async syncPendingWrites() {
+        try {
+            const remaining = await sheetsAPI.syncPendingWrites();
+            if (remaining === 0) {
+                console.log('Offline changes are synced');
+            }
+        } catch (error) {
+            console.error('Error syncing offline changes:', error);
+            
+            if (error.message && error.message.includes('Authentication required')) {
+                this.handleAuthError(error);
+            }
+        } finally {
+            await offlineStore.notifyQueueChange();
+        }
+    }
+
+    /**
+     * Bring the spreadsheet up to CONFIG.SCHEMA_VERSION. Migrations that change data are
+     * listed first and only written once confirmed; declining asks again on the next connect.
+     */
+    async runMigrations() {
+        this.showLoading('Checking spreadsheet version...');
+        const plan = await sheetsAPI.planMigrations();
+        if (plan.steps.length === 0) return;
+
+        const changes = plan.steps.flatMap(step => step.changes);
+        if (changes.length > 0) {
+            const summary = plan.steps
+                .filter(step => step.changes.length > 0)
+                .map(step => `${step.description}:\n${step.changes.map(change => `  - ${change}`).join('\n')}`)
+                .join('\n\n');
+            const confirmed = confirm(
+                `Your spreadsheet was made by an older version of the app. Upgrading it will:\n\n${summary}\n\n` +
+                'Upgrade now? The app may not read older layouts correctly until you do.'
+            );
+            if (!confirmed) {
+                console.log('Spreadsheet upgrade declined');
+                return;
+            }
+        }
+
+        this.showLoading('Upgrading spreadsheet...');
+        await sheetsAPI.applyMigrationPlan(plan);
+        if (changes.length > 0) {
+            this.showTemporaryMessage(`Spreadsheet upgraded (${changes.length} change${changes.length === 1 ? '' : 's'})`);
+        }
+    }
+
+    updateProfileSwitcher() {
+        const select = document.getElementById('profileSelect');
+        const profiles = mealGenerator.profiles;
+        
+        // Only show the switcher once there's more than the unnamed default profile
+        if (profiles.length === 0) {
+            select.style.display = 'none';
+            return;
+        }
+        
+        select.innerHTML = '';
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile;
+            option.textContent = profile;
+            select.appendChild(option);
+        });
+        select.value = mealGenerator.activeProfile;
+        select.style.display = '';
+    }
+
+    async switchProfile(profileName) {
+        if (profileName === mealGenerator.activeProfile) {
+            return;
+        }
+        
+        console.log(`Switching profile to ${profileName}`);
+        mealGenerator.setActiveProfile(profileName);
+        
+        await this.loadMeals();
+        await weekView.refreshIfOpen();
+    }
+
+    async planWeek() {
+        const confirmed = confirm(
+            'Plan meals for the next 7 days starting tomorrow? ' +
+            'Any existing plan for those days will be replaced.'
+        );
+        
+        if (!confirmed) {
+            return;
+        }
+        
+        try {
+            this.showLoading('Planning the week...');
+            
+            const startDate = addDays(new Date(), 1);
+            const plannedMeals = await mealGenerator.generatePlan(startDate, 7);
+            
+            this.hideLoading();
+            await weekView.refreshIfOpen();
+            this.showGenerationWarnings(`Planned ${plannedMeals.length} meals for the next 7 days`);
+        } catch (error) {
+            console.error('Error planning week:', error);
+            this.hideLoading();
+            
+            if (error.message && error.message.includes('Authentication required')) {
+                this.handleAuthError(error);
+            } else {
+                this.showError('Failed to plan the week. Please try again.');
+            }
+        }
+    }
+
     async checkAndHandleNewDay() {
         const today = getTodayString();
         
@@ -513,16 +1117,24 @@ class MealPlanningApp {
         }
     }
 
-    async loadMeals() {
+    /**
+     * Load today's meals, generating them if needed. options.quiet skips the loading overlay;
+     * options.readOnly only shows what's in the sheet and never generates or writes - a half-saved
+     * sheet from another device must not look like a new day (that's checkAndHandleNewDay's job).
+     */
+    async loadMeals(options = {}) {
         try {
-            this.showLoading('Loading meals...');
+            if (!options.quiet) {
+                this.showLoading('Loading meals...');
+            }
             
             // Check if we need to generate new meals
-            const needsNewMeals = await mealGenerator.checkIfNeedsNewMeals();
+            const needsNewMeals = !options.readOnly && await mealGenerator.checkIfNeedsNewMeals();
             
             if (needsNewMeals) {
                 console.log('Generating new meals...');
-                this.meals = await mealGenerator.generateMealsForToday();
+                const generatedMeals = await mealGenerator.generateMealsForToday();
+                this.meals = generatedMeals.filter(meal => mealGenerator.matchesProfile(meal.profile));
             } else {
                 console.log('Loading existing meals...');
                 
@@ -532,21 +1144,36 @@ class MealPlanningApp {
                     await mealGenerator.loadData();
                 }
                 
-                const currentMeals = await mealGenerator.getCurrentMeals();
+                const today = getTodayString();
+                const currentMeals = (await mealGenerator.getCurrentMeals())
+                    .filter(meal => mealGenerator.matchesProfile(meal.profile))
+                    .filter(meal => !options.readOnly || meal.date === today);
                 
-                // Convert current meals to proper format
-                this.meals = currentMeals.map(meal => ({
-                    name: meal['meal name'],
-                    time: this.findMealTime(meal['meal name']),
-                    items: this.extractItemsFromMeal(meal),
-                    date: meal.date,
-                    status: meal.status || 'pending' // pending, completed, skipped
-                }));
+                if (currentMeals.length === 0 && options.readOnly) {
+                    // Another device is midway through saving, or hasn't started today yet
+                    console.log('No meals for today in the sheet yet, keeping the ones shown');
+                } else if (currentMeals.length === 0 && mealGenerator.profiles.length > 0) {
+                    // A profile added during the day has no meals yet
+                    console.log(`No meals yet today for ${mealGenerator.activeProfile}, generating...`);
+                    this.meals = await mealGenerator.generateMealsForToday([mealGenerator.activeProfile]);
+                } else {
+                    // Convert current meals to proper format, remembering each row for merging later saves
+                    this.meals = currentMeals.map(meal => sheetsAPI.markMealSynced({
+                        name: meal['meal name'],
+                        time: this.findMealTime(meal['meal name'], meal.profile, parseDateString(meal.date)),
+                        items: this.extractItemsFromMeal(meal),
+                        date: meal.date,
+                        status: meal.status || 'pending', // pending, completed, skipped
+                        profile: meal.profile || ''
+                    }, meal));
+                }
             }
             
+            this.updateProfileSwitcher();
             this.currentMealIndex = 0;
             this.updateUI();
             this.hideLoading();
+            this.showGenerationWarnings();
         } catch (error) {
             console.error('Error loading meals:', error);
             this.hideLoading();
@@ -560,14 +1187,14 @@ class MealPlanningApp {
         }
     }
 
-    findMealTime(mealName) {
+    findMealTime(mealName, profile = mealGenerator.activeProfile, date = new Date()) {
         // Find the time for this meal from the schedule
         if (!mealGenerator.schedule || mealGenerator.schedule.length === 0) {
             console.warn('Schedule not loaded when looking up meal time');
             return 'Time not set';
         }
         
-        const scheduleItem = mealGenerator.schedule.find(item => item.Name === mealName);
+        const scheduleItem = mealGenerator.findScheduledMeal(mealName, profile || '', date);
         if (!scheduleItem) {
             console.warn(`Meal "${mealName}" not found in schedule`);
             return 'Time not found';
@@ -617,15 +1244,20 @@ class MealPlanningApp {
         document.getElementById('mealName').textContent = formattedMeal.name;
         document.getElementById('mealTime').textContent = formattedMeal.time;
         
+        // Total prep estimate, flagged when it goes over the meal's budget
+        const mealPrep = document.getElementById('mealPrep');
+        mealPrep.textContent = formattedMeal.prepMinutes > 0 ? `Prep ${formatPrepTime(formattedMeal.prepMinutes)}` : '';
+        if (formattedMeal.prepBudget !== null) {
+            mealPrep.textContent += `${mealPrep.textContent ? ' · ' : ''}budget ${formatPrepTime(formattedMeal.prepBudget)}`;
+        }
+        mealPrep.classList.toggle('over-budget', formattedMeal.prepBudget !== null && formattedMeal.prepMinutes > formattedMeal.prepBudget);
+        
         // Update meal card classes and status
         const mealCard = document.getElementById('mealCard');
         mealCard.className = 'meal-card';
         
-        // Clear any existing status badge
-        const existingBadge = mealCard.querySelector('.meal-status-badge');
-        if (existingBadge) {
-            existingBadge.remove();
-        }
+        // Clear any existing status badges
+        mealCard.querySelectorAll('.meal-status-badge').forEach(badge => badge.remove());
         
         if (currentMeal.status === 'completed') {
             mealCard.classList.add('completed');
@@ -641,6 +1273,15 @@ class MealPlanningApp {
             mealCard.appendChild(badge);
         }
         
+        // Warn when no combination could cover every required category
+        const missingCategories = mealGenerator.getMissingCategories(currentMeal);
+        if (missingCategories.length > 0) {
+            const badge = document.createElement('div');
+            badge.className = 'meal-status-badge missing';
+            badge.textContent = `Missing ${missingCategories.join(', ')}`;
+            mealCard.appendChild(badge);
+        }
+        
         // Update meal items
         this.updateMealItems(formattedMeal.items);
         
@@ -653,6 +1294,64 @@ class MealPlanningApp {
         
         // Update action buttons based on meal status
         this.updateActionButtons(currentMeal.status);
+        
+        this.updateNutritionPanel();
+    }
+
+    /**
+     * Daily totals for the active profile's meals, hidden until items have nutrition data or targets are set
+     */
+    updateNutritionPanel() {
+        const panel = document.getElementById('nutritionPanel');
+        const rows = document.getElementById('nutritionRows');
+        
+        const todaysItems = this.meals
+            .filter(meal => meal.status !== 'skipped')
+            .flatMap(meal => meal.items);
+        const totals = mealGenerator.getDailyTotals(todaysItems);
+        
+        if (totals.nutrients.length === 0 && totals.targets.length === 0) {
+            panel.style.display = 'none';
+            return;
+        }
+        
+        const formatAmount = (amount, unit) => `${Math.round(amount * 10) / 10}${unit ? ` ${unit}` : ''}`;
+        const addRow = (className, label, value) => {
+            const row = document.createElement('div');
+            row.className = className;
+            const labelSpan = document.createElement('span');
+            labelSpan.textContent = label;
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'nutrition-value';
+            valueSpan.textContent = value;
+            row.appendChild(labelSpan);
+            row.appendChild(valueSpan);
+            rows.appendChild(row);
+        };
+        rows.innerHTML = '';
+        
+        totals.targets.forEach(target => {
+            addRow(
+                `nutrition-row target ${target.total >= target.target ? 'met' : 'unmet'}`,
+                target.isCount ? `${target.name} items` : target.name,
+                `${formatAmount(target.total, target.unit)} / ${formatAmount(target.target, target.unit)}`
+            );
+            
+            const bar = document.createElement('div');
+            bar.className = 'nutrition-bar';
+            const fill = document.createElement('div');
+            fill.className = 'nutrition-bar-fill';
+            fill.style.width = `${Math.min(100, target.total / target.target * 100)}%`;
+            bar.appendChild(fill);
+            rows.appendChild(bar);
+        });
+        
+        // Nutrients with a target are already shown above
+        totals.nutrients
+            .filter(nutrient => !totals.targets.some(target => target.name === nutrient.column))
+            .forEach(nutrient => addRow('nutrition-row', nutrient.column, formatAmount(nutrient.total, nutrient.unit)));
+        
+        panel.style.display = 'block';
     }
 
     updateMealItems(items) {
@@ -686,15 +1385,20 @@ class MealPlanningApp {
             
             // Add category tags
             item.categories.forEach(category => {
-                const tag = document.createElement('span');
-                tag.className = `item-tag ${category.toLowerCase()}`;
-                tag.textContent = category;
-                
-                categoriesContainer.appendChild(tag);
+                categoriesContainer.appendChild(this.createCategoryTag(category));
             });
             
             itemTags.appendChild(categoriesContainer);
             
+            // Flag items that break the exclusion rules (e.g. planned before an allergen was added)
+            if (item.exclusionReason) {
+                itemElement.classList.add('excluded');
+                const warning = document.createElement('div');
+                warning.className = 'item-exclusion-warning';
+                warning.textContent = `⚠ ${item.exclusionReason}`;
+                itemTags.appendChild(warning);
+            }
+            
             // Add difficulty indicator if difficulty > 0
             if (item.difficulty && item.difficulty > 0) {
                 const difficultyText = this.getDifficultyText(item.difficulty);
@@ -716,15 +1420,27 @@ class MealPlanningApp {
         });
     }
 
+    createCategoryTag(category) {
+        const tag = document.createElement('span');
+        tag.className = 'item-tag';
+        tag.style.background = mealGenerator.getCategoryColor(category);
+        tag.textContent = category;
+        return tag;
+    }
+
+    /**
+     * Label for a Difficulty level from its prep estimate (CONFIG.DIFFICULTY_PREP_MINUTES). The
+     * hardest level is open-ended, so it reads as more than the level below (e.g. ">1 hr").
+     */
     getDifficultyText(difficulty) {
-        const difficultyMap = {
-            1: '~1 min',
-            2: '~10 min',
-            3: '~30 min',
-            4: '~1 hr',
-            5: '>1 hr'
-        };
-        return difficultyMap[difficulty] || '';
+        const level = parseInt(difficulty, 10);
+        const prepMinutes = CONFIG.DIFFICULTY_PREP_MINUTES;
+        if (!prepMinutes[level]) return '';
+        
+        if (!prepMinutes[level + 1] && prepMinutes[level - 1]) {
+            return `>${formatPrepTime(prepMinutes[level - 1]).replace('~', '')}`;
+        }
+        return formatPrepTime(prepMinutes[level]);
     }
 
     addSwipeAndClickHandlers(element, item, itemIndex) {
@@ -896,11 +1612,16 @@ class MealPlanningApp {
             // Show loading state
             this.showLoading('Finding replacement...');
             
+            const undoSnapshot = await undoManager.capture({
+                meals: [currentMeal],
+                grocery: addToGrocery ? [itemToReplace.Item || itemToReplace.name] : []
+            });
+            
             // Ensure we have fresh data loaded before replacement
             await mealGenerator.loadData();
             
             // Re-enrich the current item with full data if it's missing properties
-            if (!itemToReplace.Carb && !itemToReplace.Protein && !itemToReplace.Fruit && !itemToReplace.Veggie) {
+            if (mealGenerator.getItemCategories(itemToReplace).length === 0) {
                 console.log('Item missing category properties, re-enriching...');
                 const fullItemData = mealGenerator.items.find(item => item.Item === itemToReplace.Item);
                 if (fullItemData) {
@@ -910,11 +1631,6 @@ class MealPlanningApp {
                 }
             }
             
-            if (addToGrocery) {
-                console.log('Adding to grocery list...');
-                await this.addToGroceryList(itemToReplace.Item || itemToReplace.name);
-            }
-            
             // Generate replacement item(s)
             const replacementItems = await this.generateReplacementItem(currentMeal, itemIndex);
             
@@ -930,8 +1646,12 @@ class MealPlanningApp {
                     currentMeal.items = currentMeal.items.slice(0, 4);
                 }
                 
-                // Update the meal in the sheet
-                await sheetsAPI.saveCurrentMeals(this.meals);
+                // Update the meal in the sheet - the grocery list only changes once the replacement is kept
+                if (!await this.saveMeals()) {
+                    this.hideLoading();
+                    return;
+                }
+                await this.addReplacedToGroceryList(itemToReplace, addToGrocery);
                 
                 // Refresh the UI
                 this.updateUI();
@@ -939,10 +1659,13 @@ class MealPlanningApp {
                 const replacementNames = replacementItems.map(item => item.Item).join(', ');
                 console.log(`Replaced with: ${replacementNames}`);
                 
-                // Show success message for multiple replacements
-                if (replacementItems.length > 1) {
-                    this.showTemporaryMessage(`Replaced with ${replacementItems.length} items: ${replacementNames}`);
-                }
+                const itemName = itemToReplace.Item || itemToReplace.name;
+                undoManager.push(`replacing ${itemName}`, undoSnapshot);
+                
+                // Show what it was replaced with, and anything the generator had to compromise on
+                this.showGenerationWarnings(replacementItems.length > 1 ?
+                    `Replaced with ${replacementItems.length} items: ${replacementNames}` :
+                    `Replaced ${itemName} with ${replacementNames}`, this.getUndoAction());
             } else if (replacementItems && replacementItems.length === 0) {
                 // No replacement needed - just remove the item
                 console.log('No replacement needed - removing item only');
@@ -951,12 +1674,17 @@ class MealPlanningApp {
                 currentMeal.items.splice(itemIndex, 1);
                 
                 // Update the meal in the sheet
-                await sheetsAPI.saveCurrentMeals(this.meals);
+                if (!await this.saveMeals()) {
+                    this.hideLoading();
+                    return;
+                }
+                await this.addReplacedToGroceryList(itemToReplace, addToGrocery);
                 
                 // Refresh the UI
                 this.updateUI();
                 
-                this.showTemporaryMessage(`Removed ${itemToReplace.Item || itemToReplace.name} - all categories already covered`);
+                undoManager.push(`removing ${itemToReplace.Item || itemToReplace.name}`, undoSnapshot);
+                this.showTemporaryMessage(`Removed ${itemToReplace.Item || itemToReplace.name} - all categories already covered`, this.getUndoAction());
             } else {
                 this.showError('No suitable replacement found for this item.');
             }
@@ -975,7 +1703,11 @@ class MealPlanningApp {
         }
     }
 
-    showTemporaryMessage(message) {
+    /**
+     * Show a short-lived message. action is an optional { label, onClick } button (e.g. Undo),
+     * which keeps the message up a little longer.
+     */
+    showTemporaryMessage(message, action = null) {
         // Create a temporary success message
         const messageDiv = document.createElement('div');
         messageDiv.className = 'temp-message';
@@ -994,23 +1726,219 @@ class MealPlanningApp {
             font-size: 0.9rem;
             max-width: 90%;
             text-align: center;
+            white-space: pre-line;
         `;
         
+        if (action) {
+            const actionButton = document.createElement('button');
+            actionButton.className = 'temp-message-action';
+            actionButton.textContent = action.label;
+            actionButton.addEventListener('click', () => {
+                if (messageDiv.parentNode) {
+                    messageDiv.parentNode.removeChild(messageDiv);
+                }
+                action.onClick();
+            });
+            messageDiv.appendChild(actionButton);
+        }
+        
+        // Older messages make way for the new one
+        document.querySelectorAll('.temp-message').forEach(oldMessage => oldMessage.remove());
         document.body.appendChild(messageDiv);
         
-        // Remove after 3 seconds
+        // Remove after 3 seconds (6 when there's a button to reach)
         setTimeout(() => {
             if (messageDiv.parentNode) {
                 messageDiv.parentNode.removeChild(messageDiv);
             }
-        }, 3000);
+        }, action ? 6000 : 3000);
+    }
+
+    /**
+     * Toast button that undoes the last action
+     */
+    getUndoAction() {
+        return { label: 'Undo', onClick: () => this.undoLastAction() };
+    }
+
+    /**
+     * Put back what the most recent undoable action changed and reload everything showing it
+     */
+    async undoLastAction() {
+        try {
+            this.showLoading('Undoing...');
+            
+            const label = await undoManager.undo();
+            if (!label) {
+                this.hideLoading();
+                this.showTemporaryMessage('Nothing to undo');
+                return;
+            }
+            
+            await mealGenerator.loadData();
+            await this.reloadMeals();
+            
+            if (this.modalContext) {
+                await this.refreshCategoryModal();
+            }
+            await weekView.refreshIfOpen();
+            await groceryView.refreshIfOpen();
+            await itemLibraryView.refreshIfOpen();
+            
+            this.showTemporaryMessage(`Undid ${label}`);
+        } catch (error) {
+            console.error('Error undoing:', error);
+            this.hideLoading();
+            
+            if (error.message && error.message.includes('Authentication required')) {
+                this.handleAuthError(error);
+            } else {
+                this.showError('Failed to undo. Please try again.');
+            }
+        }
+    }
+
+    /**
+     * Reload today's meals from the sheet, staying on the same meal where possible
+     */
+    async reloadMeals(options = {}) {
+        const mealIndex = this.currentMealIndex;
+        await this.loadMeals(options);
+        this.currentMealIndex = Math.min(mealIndex, Math.max(0, this.meals.length - 1));
+        this.updateUI();
+    }
+
+    /**
+     * Save this.meals to the current sheet. Changes another device made in the meantime are
+     * merged in (and shown by reloading); if both changed the same thing differently, asks whose
+     * version to keep. Returns false when the other device's version was kept - the meals are
+     * reloaded and the caller's change is dropped, so callers write anything that depends on the
+     * change (Last Used, grocery list, history) only after this returns true.
+     */
+    async saveMeals() {
+        let result;
+        try {
+            result = await sheetsAPI.saveCurrentMeals(this.meals);
+        } catch (error) {
+            if (!error.conflicts) throw error;
+            
+            this.hideLoading();
+            const keepMine = confirm(
+                `${error.conflicts.map(conflict => this.describeConflict(conflict)).join('\n')}\n\n` +
+                'Keep your change? Cancel keeps the version from the other device.'
+            );
+            if (!keepMine) {
+                await this.reloadMeals();
+                this.showTemporaryMessage('Kept the changes made on the other device');
+                return false;
+            }
+            result = await sheetsAPI.saveCurrentMeals(this.meals, null, { overwrite: true });
+        }
+        
+        // Merged meals only have the other device's changes in the sheet, not in this.meals
+        if (result.merged.length > 0) {
+            await this.reloadMeals();
+        }
+        return true;
+    }
+
+    /**
+     * Changes from other devices wait while something is loading or saving, or while a form
+     * (rating, item editor, adding an item from the picker) is open, so nothing is pulled out
+     * from under the user
+     */
+    canApplyRemoteChanges() {
+        const formOpen = ['ratingModal', 'itemEditorModal'].some(modalId =>
+            document.getElementById(modalId).style.display !== 'none'
+        ) || document.querySelector('#categoryItems .add-item-form') !== null;
+        return !this.isLoading && !formOpen;
+    }
+
+    /**
+     * Show what another device changed: the meal card, open views and the item picker are
+     * refreshed in place, with a short notice in the header
+     */
+    async applyRemoteChanges(changedSheets) {
+        try {
+            await mealGenerator.loadData();
+            
+            if (changedSheets.includes(CONFIG.SHEETS.CURRENT) || changedSheets.includes(CONFIG.SHEETS.ITEMS)) {
+                await this.reloadMeals({ quiet: true, readOnly: true });
+                await weekView.refreshIfOpen();
+            }
+            if (changedSheets.includes(CONFIG.SHEETS.GROCERY)) {
+                await groceryView.refreshIfOpen();
+            }
+            if (changedSheets.includes(CONFIG.SHEETS.ITEMS)) {
+                await itemLibraryView.refreshIfOpen();
+            }
+            if (this.modalContext) {
+                await this.refreshCategoryModal();
+            }
+            
+            this.showRemoteUpdateNotice();
+        } catch (error) {
+            console.error('Error applying changes from another device:', error);
+            this.hideLoading();
+        }
+    }
+
+    showRemoteUpdateNotice() {
+        const notice = document.getElementById('remoteUpdateNotice');
+        notice.style.display = 'flex';
+        
+        clearTimeout(this.remoteUpdateNoticeTimeout);
+        this.remoteUpdateNoticeTimeout = setTimeout(() => {
+            notice.style.display = 'none';
+        }, 5000);
+    }
+
+    describeConflict(conflict) {
+        const { remote } = conflict;
+        const changes = [];
+        if (conflict.fields.includes('status')) {
+            changes.push(`marked ${remote.status || 'pending'}`);
+        }
+        if (conflict.fields.some(field => field.startsWith('item '))) {
+            const items = [1, 2, 3, 4].map(i => remote[`item ${i}`]).filter(itemName => itemName);
+            changes.push(`now has ${items.length > 0 ? items.join(', ') : 'no items'}`);
+        }
+        const details = changes.length > 0 ? ` (${changes.join(', ')})` : '';
+        return `${conflict.mealName} was also changed on another device${details}.`;
+    }
+
+    /**
+     * Show a message together with anything the generator had to compromise on
+     * (e.g. serving an item before its cooldown ends). Shows nothing if both are empty.
+     */
+    showGenerationWarnings(message = '', action = null) {
+        const warnings = mealGenerator.takeGenerationWarnings();
+        const lines = [message, ...warnings.map(warning => `⚠️ ${warning}`)].filter(line => line);
+        
+        if (lines.length > 0) {
+            this.showTemporaryMessage(lines.join('\n'), action);
+        }
+    }
+
+    /**
+     * Put a replaced item on the grocery list when the user asked for it
+     */
+    async addReplacedToGroceryList(replacedItem, addToGrocery) {
+        if (addToGrocery) {
+            console.log('Adding to grocery list...');
+            await this.addToGroceryList(replacedItem.Item || replacedItem.name);
+        }
     }
 
     async addToGroceryList(itemName) {
         try {
-            // Add item to grocery sheet
-            await sheetsAPI.appendRange(CONFIG.SHEETS.GROCERY, [[itemName]]);
-            console.log(`Added ${itemName} to grocery list`);
+            // Add item to grocery sheet (once - it may already be on the list)
+            if (await sheetsAPI.addGroceryItem(itemName)) {
+                console.log(`Added ${itemName} to grocery list`);
+            } else {
+                console.log(`${itemName} is already on the grocery list`);
+            }
+            await groceryView.refreshIfOpen();
         } catch (error) {
             console.error('Error adding to grocery list:', error);
         }
@@ -1023,8 +1951,14 @@ class MealPlanningApp {
             // Ensure mealGenerator has data loaded
             await mealGenerator.loadData();
             
+            // The household's other meals today count towards the daily prep budget
+            const otherMeals = [
+                ...this.meals.filter(otherMeal => otherMeal !== meal),
+                ...await mealGenerator.getOtherProfilesMeals([meal.profile])
+            ];
+            
             // Use the new generateReplacement method
-            const replacementItems = mealGenerator.generateReplacement(meal, itemIndex);
+            const replacementItems = mealGenerator.generateReplacement(meal, itemIndex, otherMeals);
             
             if (replacementItems.length > 0) {
                 console.log(`Found replacement: ${replacementItems.map(item => item.Item).join(', ')}`);
@@ -1092,23 +2026,98 @@ class MealPlanningApp {
         }
     }
 
-    async completeMeal() {
+    /**
+     * Ask how much of each item was eaten before completing the current meal
+     */
+    openRatingModal() {
+        const currentMeal = this.meals[this.currentMealIndex];
+        this.pendingRatings = currentMeal.items.map(() => '');
+        
+        document.getElementById('ratingModalTitle').textContent = `How did ${currentMeal.name} go?`;
+        
+        const list = document.getElementById('ratingList');
+        list.innerHTML = '';
+        
+        currentMeal.items.forEach((item, itemIndex) => {
+            const row = document.createElement('div');
+            row.className = 'rating-row';
+            
+            const name = document.createElement('span');
+            name.className = 'rating-item-name';
+            name.textContent = item.Item || item.name;
+            row.appendChild(name);
+            
+            const options = document.createElement('div');
+            options.className = 'rating-options';
+            
+            CONFIG.RATINGS.forEach(option => {
+                const button = document.createElement('button');
+                button.className = `rating-option ${option.value}`;
+                button.textContent = option.label;
+                button.addEventListener('click', () => {
+                    // Tapping the selected rating again clears it
+                    this.pendingRatings[itemIndex] = this.pendingRatings[itemIndex] === option.value ? '' : option.value;
+                    options.querySelectorAll('.rating-option').forEach(otherButton => {
+                        otherButton.classList.toggle('selected', otherButton === button && this.pendingRatings[itemIndex] !== '');
+                    });
+                });
+                options.appendChild(button);
+            });
+            
+            row.appendChild(options);
+            list.appendChild(row);
+        });
+        
+        const modal = document.getElementById('ratingModal');
+        modal.style.display = 'flex';
+        
+        // Trigger animation
+        setTimeout(() => {
+            modal.classList.add('show');
+        }, 10);
+    }
+
+    closeRatingModal() {
+        const modal = document.getElementById('ratingModal');
+        modal.classList.remove('show');
+        
+        setTimeout(() => {
+            modal.style.display = 'none';
+        }, 300);
+    }
+
+    async confirmRating() {
+        const ratings = this.pendingRatings || [];
+        this.closeRatingModal();
+        await this.completeMeal(ratings);
+    }
+
+    /**
+     * Complete the current meal. ratings line up with the meal's items; unrated items are left blank.
+     */
+    async completeMeal(ratings = []) {
         try {
             const currentMeal = this.meals[this.currentMealIndex];
             console.log(`Completing meal: ${currentMeal.name}`);
             
+            const undoSnapshot = await undoManager.capture({ meals: [currentMeal], history: true });
+            
             // Mark meal as completed
             currentMeal.status = 'completed';
+            currentMeal.ratings = ratings;
+            
+            // Update the current meals in the sheet
+            if (!await this.saveMeals()) return;
             
             // Add the completed meal to history
             await sheetsAPI.addMealToHistory(currentMeal);
             
-            // Update the current meals in the sheet
-            await sheetsAPI.saveCurrentMeals(this.meals);
-            
             // Update UI to show completed status
             this.updateUI();
             
+            undoManager.push(`completing ${currentMeal.name}`, undoSnapshot);
+            this.showTemporaryMessage(`${currentMeal.name} completed`, this.getUndoAction());
+            
             // Auto-advance to next pending meal if available
             this.goToNextPendingMeal();
         } catch (error) {
@@ -1128,15 +2137,20 @@ class MealPlanningApp {
             const currentMeal = this.meals[this.currentMealIndex];
             console.log(`Skipping meal: ${currentMeal.name}`);
             
+            const undoSnapshot = await undoManager.capture({ meals: [currentMeal] });
+            
             // Mark meal as skipped
             currentMeal.status = 'skipped';
             
             // Update the current meals in the sheet (but don't update "Last Used" dates)
-            await sheetsAPI.saveCurrentMeals(this.meals);
+            if (!await this.saveMeals()) return;
             
             // Update UI to show skipped status
             this.updateUI();
             
+            undoManager.push(`skipping ${currentMeal.name}`, undoSnapshot);
+            this.showTemporaryMessage(`${currentMeal.name} skipped`, this.getUndoAction());
+            
             // Auto-advance to next pending meal if available
             this.goToNextPendingMeal();
         } catch (error) {
@@ -1175,6 +2189,7 @@ class MealPlanningApp {
         
         document.getElementById('mealName').textContent = 'All Done!';
         document.getElementById('mealTime').textContent = `${completedCount} completed, ${skippedCount} skipped`;
+        document.getElementById('mealPrep').textContent = '';
         document.getElementById('mealItems').innerHTML = `
             <div class="meal-item">
                 <div class="item-name">Great job today! Use the arrows to review your meals.</div>
@@ -1242,7 +2257,8 @@ class MealPlanningApp {
     }
 
     // Category modal functionality
-    async openCategoryModal(currentItem, itemIndex, specificCategory = null) {
+    // target is { date, mealName } when editing a planned meal instead of today's current meal
+    async openCategoryModal(currentItem, itemIndex, specificCategory = null, target = null) {
         try {
             this.showLoading('Loading category options...');
             
@@ -1266,7 +2282,8 @@ class MealPlanningApp {
             this.modalContext = {
                 currentItem: currentItem,
                 itemIndex: itemIndex,
-                categoriesToShow: categoriesToShow
+                categoriesToShow: categoriesToShow,
+                target: target
             };
             
             // Populate modal
@@ -1290,7 +2307,8 @@ class MealPlanningApp {
     }
 
     getItemsForCategories(categories) {
-        const availableItems = mealGenerator.getAvailableItems();
+        // Excluded items are still listed (marked) so they can be picked with an explicit override
+        const availableItems = mealGenerator.getAvailableItems([], { includeExcluded: true });
         
         // Filter items that have at least one of the specified categories
         const categoryItems = availableItems.filter(item => {
@@ -1365,6 +2383,11 @@ class MealPlanningApp {
                     itemElement.classList.add('current');
                 }
                 
+                const exclusionReason = mealGenerator.getExclusionReason(item);
+                if (exclusionReason) {
+                    itemElement.classList.add('excluded');
+                }
+                
                 // Create item info section
                 const itemInfo = document.createElement('div');
                 itemInfo.className = 'category-item-info';
@@ -1382,10 +2405,7 @@ class MealPlanningApp {
                 
                 const itemCategories = mealGenerator.getItemCategories(item);
                 itemCategories.forEach(category => {
-                    const tag = document.createElement('span');
-                    tag.className = `item-tag ${category.toLowerCase()}`;
-                    tag.textContent = category;
-                    categoriesContainer.appendChild(tag);
+                    categoriesContainer.appendChild(this.createCategoryTag(category));
                 });
                 
                 // Add last used info
@@ -1405,6 +2425,13 @@ class MealPlanningApp {
                 itemMeta.appendChild(categoriesContainer);
                 itemMeta.appendChild(lastUsed);
                 
+                if (exclusionReason) {
+                    const exclusion = document.createElement('div');
+                    exclusion.className = 'category-item-exclusion';
+                    exclusion.textContent = `⚠ ${exclusionReason}`;
+                    itemMeta.appendChild(exclusion);
+                }
+                
                 itemInfo.appendChild(itemName);
                 itemInfo.appendChild(itemMeta);
                 
@@ -1476,7 +2503,20 @@ class MealPlanningApp {
 
     async selectCategoryItem(selectedItem) {
         try {
-            const { currentItem, itemIndex } = this.modalContext;
+            const { currentItem, itemIndex, target } = this.modalContext;
+            
+            // Excluded items need an explicit override before they can be served
+            const exclusionReason = mealGenerator.getExclusionReason(selectedItem);
+            if (exclusionReason) {
+                const override = confirm(
+                    `"${selectedItem.Item}" is excluded (${exclusionReason}).\n\n` +
+                    'Serve it anyway?'
+                );
+                
+                if (!override) {
+                    return;
+                }
+            }
             
             // Close modal first
             this.closeCategoryModal();
@@ -1488,25 +2528,45 @@ class MealPlanningApp {
             
             this.showLoading('Replacing item...');
             
+            // Planned meals live in the plan sheet rather than this.meals
+            if (target) {
+                await weekView.replacePlannedItem(target, itemIndex, selectedItem);
+                this.hideLoading();
+                await weekView.refreshIfOpen();
+                return;
+            }
+            
             // Replace the item in the current meal
             const currentMeal = this.meals[this.currentMealIndex];
             
+            const undoSnapshot = await undoManager.capture({
+                meals: [currentMeal],
+                lastUsed: [selectedItem.Item]
+            });
+            
             // Update the item at the specified index
             currentMeal.items[itemIndex] = selectedItem;
             
+            // Save the updated meals - nothing else is written unless this change is kept
+            if (!await this.saveMeals()) {
+                this.hideLoading();
+                return;
+            }
+            
             // Update Last Used for the new item
             const timestamp = new Date().toISOString();
-            await sheetsAPI.updateLastUsed(selectedItem.Item, timestamp);
-            
-            // Save the updated meals
-            await sheetsAPI.saveCurrentMeals(this.meals);
+            await sheetsAPI.updateLastUsedBatch({ [selectedItem.Item]: timestamp });
             
             // Refresh the UI
             this.updateUI();
             
             this.hideLoading();
+            await weekView.refreshIfOpen();
             console.log(`Replaced ${currentItem.name} with ${selectedItem.Item}`);
             
+            undoManager.push(`choosing ${selectedItem.Item}`, undoSnapshot);
+            this.showTemporaryMessage(`Replaced ${currentItem.name} with ${selectedItem.Item}`, this.getUndoAction());
+            
         } catch (error) {
             console.error('Error selecting category item:', error);
             this.showError('Failed to replace item. Please try again.');
@@ -1527,7 +2587,7 @@ class MealPlanningApp {
     async confirmDeleteItem(item) {
         const confirmed = confirm(
             `Are you sure you want to delete "${item.Item}"?\n\n` +
-            'This action cannot be undone and will remove the item from your Google Sheets.'
+            'This will remove the item from your Google Sheets. You can undo it right after.'
         );
         
         if (!confirmed) {
@@ -1537,6 +2597,8 @@ class MealPlanningApp {
         try {
             this.showLoading(`Deleting "${item.Item}"...`);
             
+            const undoSnapshot = await undoManager.capture({ items: [item.Item] });
+            
             // Delete from Google Sheets
             await sheetsAPI.deleteItem(item.Item);
             
@@ -1547,7 +2609,8 @@ class MealPlanningApp {
             await this.refreshCategoryModal();
             
             this.hideLoading();
-            this.showTemporaryMessage(`Successfully deleted "${item.Item}"`);
+            undoManager.push(`deleting "${item.Item}"`, undoSnapshot);
+            this.showTemporaryMessage(`Successfully deleted "${item.Item}"`, this.getUndoAction());
             
         } catch (error) {
             console.error('Error deleting item:', error);
@@ -1590,25 +2653,15 @@ class MealPlanningApp {
                 <div class="form-group">
                     <label>Categories *</label>
                     <div class="category-checkboxes">
-                        <label class="checkbox-label">
-                            <input type="checkbox" name="category" value="Carb" ${categories.includes('Carb') ? 'checked' : ''}>
-                            <span class="item-tag carb">Carb</span>
-                        </label>
-                        <label class="checkbox-label">
-                            <input type="checkbox" name="category" value="Protein" ${categories.includes('Protein') ? 'checked' : ''}>
-                            <span class="item-tag protein">Protein</span>
-                        </label>
-                        <label class="checkbox-label">
-                            <input type="checkbox" name="category" value="Fruit" ${categories.includes('Fruit') ? 'checked' : ''}>
-                            <span class="item-tag fruit">Fruit</span>
-                        </label>
-                        <label class="checkbox-label">
-                            <input type="checkbox" name="category" value="Veggie" ${categories.includes('Veggie') ? 'checked' : ''}>
-                            <span class="item-tag veggie">Veggie</span>
-                        </label>
+                        <!-- Category checkboxes will be populated here -->
                     </div>
                 </div>
                 
+                <div class="form-group">
+                    <label for="allergens">Allergens</label>
+                    <input type="text" id="allergens" placeholder="e.g. nuts, dairy">
+                </div>
+                
                 <div class="form-group">
                     <label for="difficulty">Difficulty</label>
                     <select id="difficulty">
@@ -1626,6 +2679,23 @@ class MealPlanningApp {
             </form>
         `;
         
+        // One checkbox per configured category
+        const checkboxesContainer = formContainer.querySelector('.category-checkboxes');
+        mealGenerator.getCategories().forEach(category => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = 'category';
+            checkbox.value = category;
+            checkbox.checked = categories.includes(category);
+            
+            label.appendChild(checkbox);
+            label.appendChild(this.createCategoryTag(category));
+            checkboxesContainer.appendChild(label);
+        });
+        
         // Replace the container content with the form
         container.innerHTML = '';
         container.appendChild(formContainer);
@@ -1653,6 +2723,7 @@ class MealPlanningApp {
         try {
             const itemName = document.getElementById('itemName').value.trim();
             const difficulty = document.getElementById('difficulty').value;
+            const allergens = parseListCell(document.getElementById('allergens').value).join(', ');
             const selectedCategories = Array.from(formContainer.querySelectorAll('input[name="category"]:checked'))
                 .map(cb => cb.value);
             
@@ -1672,11 +2743,9 @@ class MealPlanningApp {
             // Prepare item data
             const itemData = {
                 name: itemName,
-                carb: selectedCategories.includes('Carb') ? '1' : '0',
-                protein: selectedCategories.includes('Protein') ? '1' : '0',
-                fruit: selectedCategories.includes('Fruit') ? '1' : '0',
-                veggie: selectedCategories.includes('Veggie') ? '1' : '0',
-                difficulty: difficulty
+                categories: selectedCategories,
+                difficulty: difficulty,
+                allergens: allergens
             };
             
             // Add to Google Sheets
@@ -1714,6 +2783,26 @@ function closeShareModal() {
     app.closeShareModal();
 }
 
+// Global function to close settings modal (called from HTML)
+function closeSettingsModal() {
+    app.closeSettingsModal();
+}
+
+// Global function to close rating modal (called from HTML)
+function closeRatingModal() {
+    app.closeRatingModal();
+}
+
+// Global function to close food acceptance modal (called from HTML)
+function closeAcceptanceModal() {
+    app.closeAcceptanceModal();
+}
+
+// Global function to close item editor modal (called from HTML)
+function closeItemEditor() {
+    itemLibraryView.closeEditor();
+}
+
 // Initialize app when page loads
 let app;
 document.addEventListener('DOMContentLoaded', async () => {
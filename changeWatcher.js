@@ -0,0 +1,63 @@
+// Change Watcher - polls the shared spreadsheet for edits made on other devices
+class ChangeWatcher {
+    constructor() {
+        this.interval = null;
+        this.isChecking = false;
+        this.onChange = null;
+        this.canCheck = () => true;
+        this.handleVisibilityChange = () => {
+            if (!document.hidden) this.check();
+        };
+    }
+
+    /**
+     * Check the watched sheets every CONFIG.LIVE_REFRESH_SECONDS, and as soon as the page is shown
+     * again. onChange gets the names of the sheets that changed; canCheck can hold a check back
+     * (e.g. while a form is open) until the next one. Device-only storage has nothing to watch.
+     */
+    start(onChange, canCheck = () => true) {
+        this.stop();
+        if (sheetsAPI.isLocal) return;
+
+        this.onChange = onChange;
+        this.canCheck = canCheck;
+        this.interval = setInterval(() => this.check(), CONFIG.LIVE_REFRESH_SECONDS * 1000);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        console.log(`Watching for changes from other devices every ${CONFIG.LIVE_REFRESH_SECONDS}s`);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    async check() {
+        if (!this.interval || this.isChecking || document.hidden || !this.canCheck()) return;
+
+        this.isChecking = true;
+        try {
+            const sheetNames = CONFIG.LIVE_REFRESH_SHEET_KEYS.map(sheetKey => CONFIG.SHEETS[sheetKey]);
+            const changedSheets = await sheetsAPI.detectRemoteChanges(sheetNames);
+
+            if (changedSheets.length > 0) {
+                console.log('Changed on another device:', changedSheets);
+                await this.onChange(changedSheets);
+            }
+        } catch (error) {
+            console.error('Error checking for changes from other devices:', error);
+
+            // The session's gone - signing in again restarts the watcher
+            if (error.message && error.message.includes('Authentication required')) {
+                this.stop();
+            }
+        } finally {
+            this.isChecking = false;
+        }
+    }
+}
+
+// Create global instance
+const changeWatcher = new ChangeWatcher();
@@ -43,7 +43,80 @@ const CONFIG = {
         SCHEDULE: 'schedule', 
         GROCERY: 'grocery',
         CURRENT: 'current',
-        HISTORY: 'history'
+        HISTORY: 'history',
+        PLAN: 'plan',
+        SETTINGS: 'settings',
+        PROFILES: 'profiles',
+        CATEGORIES: 'categories',
+        META: 'meta'
+    },
+    
+    // Sheets added after the original layout - created on connect if an older spreadsheet lacks them
+    OPTIONAL_SHEET_KEYS: ['PLAN', 'SETTINGS', 'PROFILES', 'CATEGORIES', 'META'],
+    
+    // Layout version of the sheets, stored in the meta sheet. Bump it with each new entry in
+    // SheetStore.MIGRATIONS so older spreadsheets are upgraded on connect.
+    SCHEMA_VERSION: 4,
+    
+    // How often to check the shared spreadsheet for changes made on other devices, and which sheets
+    LIVE_REFRESH_SECONDS: 30,
+    LIVE_REFRESH_SHEET_KEYS: ['CURRENT', 'GROCERY', 'ITEMS'],
+    
+    // Keys used in the meta sheet
+    META_KEYS: {
+        SCHEMA_VERSION: 'Schema Version'
+    },
+    
+    // Used when neither the categories sheet nor the sheet headers define any categories
+    DEFAULT_CATEGORIES: ['Carb', 'Protein', 'Fruit', 'Veggie'],
+    
+    DEFAULT_CATEGORY_COLORS: {
+        Carb: '#ff6b6b',
+        Protein: '#51cf66',
+        Fruit: '#ffd43b',
+        Veggie: '#69db7c'
+    },
+    
+    // IndexedDB database holding the offline cache and queued writes
+    OFFLINE_DB: {
+        NAME: 'toddler-lunch-offline',
+        VERSION: 1
+    },
+    
+    // Optional nutrition columns on the items sheet (amount per serving)
+    NUTRIENTS: [
+        { column: 'Calories', unit: 'kcal' },
+        { column: 'Protein (g)', unit: 'g' },
+        { column: 'Iron (mg)', unit: 'mg' },
+        { column: 'Calcium (mg)', unit: 'mg' },
+        { column: 'Fiber (g)', unit: 'g' }
+    ],
+    
+    // Settings named "Daily Target: <tag, category or nutrient column>" hold soft daily targets
+    DAILY_TARGET_PREFIX: 'Daily Target: ',
+    
+    // How much of each item the child ate, recorded per item when a meal is completed
+    RATINGS: [
+        { value: 'ate', label: 'Ate it', weight: 1 },
+        { value: 'partial', label: 'Some', weight: 0.5 },
+        { value: 'refused', label: 'Refused', weight: 0 }
+    ],
+    
+    // Rough prep minutes per Difficulty level (5 is "over an hour"), used for prep budgets and the
+    // difficulty labels on meal items
+    DIFFICULTY_PREP_MINUTES: { 1: 1, 2: 10, 3: 30, 4: 60, 5: 90 },
+    
+    // Columns shared by items and schedule that are never categories
+    NON_CATEGORY_COLUMNS: ['Item', 'Name', 'Time', 'Days', 'Prep Budget', 'Tags', 'Difficulty', 'Last Used', 'Allergens', 'Profile',
+        'Cooldown Days', 'Calories', 'Protein (g)', 'Iron (mg)', 'Calcium (mg)', 'Fiber (g)'],
+    
+    // Keys used in the settings sheet
+    SETTING_KEYS: {
+        EXCLUDED_ALLERGENS: 'Excluded Allergens',
+        EXCLUDED_ITEMS: 'Excluded Items',
+        SHARE_SIBLING_MEALS: 'Share Sibling Meals',
+        COOLDOWN_DAYS: 'Cooldown Days',
+        DAILY_PREP_BUDGET: 'Daily Prep Budget'
     },
     
     // Discovery document for Google Sheets API
@@ -63,22 +136,34 @@ const CONFIG = {
         STAY_LOGGED_IN: 'toddler_meal_planner_stay_logged_in',
         // Token storage now handled by homeSecretsClient
         HOME_SECRETS_TOKENS: 'home_secrets_tokens',
-        API_KEY: 'toddler_meal_planner_api_key'
+        API_KEY: 'toddler_meal_planner_api_key',
+        ACTIVE_PROFILE: 'toddler_meal_planner_active_profile',
+        STORAGE_BACKEND: 'toddler_meal_planner_storage_backend'
     },
     
+    // Where meal data is kept: a Google spreadsheet, or only in this browser
+    STORAGE_BACKENDS: {
+        GOOGLE: 'google',
+        LOCAL: 'local'
+    },
+    
+    // Stands in for the spreadsheet ID when data is kept on this device
+    LOCAL_SPREADSHEET_ID: 'local',
+    
     // Dummy data for initial setup
     DUMMY_DATA: {
         ITEMS: [
-            ['Item', 'Carb', 'Protein', 'Fruit', 'Veggie', 'Tags', 'Difficulty', 'Last Used'],
-            ['Cheerios', 'y', '', '', '', 'cereal,quick', '1', 'never'],
-            ['Banana slices', '', '', 'y', '', 'fresh,finger-food', '1', 'never'],
-            ['Scrambled eggs', '', 'y', '', '', 'hot,protein', '2', 'never']
+            ['Item', 'Carb', 'Protein', 'Fruit', 'Veggie', 'Tags', 'Difficulty', 'Last Used', 'Allergens',
+                'Calories', 'Protein (g)', 'Iron (mg)', 'Calcium (mg)', 'Fiber (g)'],
+            ['Cheerios', 'y', '', '', '', 'cereal,quick', '1', 'never', 'gluten', '100', '3', '8', '100', '3'],
+            ['Banana slices', '', '', 'y', '', 'fresh,finger-food', '1', 'never', '', '50', '0.6', '0.1', '3', '1.5'],
+            ['Scrambled eggs', '', 'y', '', '', 'hot,protein', '2', 'never', 'egg', '90', '6', '0.9', '28', '0']
         ],
         SCHEDULE: [
-            ['Name', 'Time', 'Carb', 'Protein', 'Fruit', 'Veggie'],
-            ['Breakfast', '8:00 AM', 'y', 'y', 'y', ''],
-            ['Lunch', '12:00 PM', 'y', 'y', '', 'y'],
-            ['Snack', '3:00 PM', '', '', 'y', '']
+            ['Name', 'Time', 'Carb', 'Protein', 'Fruit', 'Veggie', 'Profile', 'Days'],
+            ['Breakfast', '8:00 AM', 'y', 'y', 'y', '', '', ''],
+            ['Lunch', '12:00 PM', 'y', 'y', '', 'y', '', ''],
+            ['Snack', '3:00 PM', '', '', 'y', '', '', '']
         ],
         GROCERY: [
             ['Item'],
@@ -87,10 +172,32 @@ const CONFIG = {
             ['Apples']
         ],
         CURRENT: [
-            ['date', 'meal name', 'status', 'item 1', 'item 2', 'item 3', 'item 4']
+            ['date', 'meal name', 'status', 'item 1', 'item 2', 'item 3', 'item 4', 'profile', 'updated']
         ],
         HISTORY: [
-            ['date', 'meal name', 'item 1', 'item 2', 'item 3', 'item 4']
+            ['date', 'meal name', 'item 1', 'item 2', 'item 3', 'item 4', 'profile', 'rating 1', 'rating 2', 'rating 3', 'rating 4', 'status']
+        ],
+        PLAN: [
+            ['date', 'meal name', 'item 1', 'item 2', 'item 3', 'item 4', 'profile']
+        ],
+        SETTINGS: [
+            ['Setting', 'Value', 'Profile'],
+            ['Excluded Allergens', '', ''],
+            ['Excluded Items', '', ''],
+            ['Share Sibling Meals', '', '']
+        ],
+        PROFILES: [
+            ['Name']
+        ],
+        CATEGORIES: [
+            ['Category', 'Color'],
+            ['Carb', '#ff6b6b'],
+            ['Protein', '#51cf66'],
+            ['Fruit', '#ffd43b'],
+            ['Veggie', '#69db7c']
+        ],
+        META: [
+            ['Key', 'Value']
         ]
     }
 };
@@ -209,6 +316,41 @@ const StorageHelper = {
         }
     },
 
+    // Active profile (which child this device is looking at)
+    saveActiveProfile(profileName) {
+        try {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.ACTIVE_PROFILE, profileName);
+        } catch (error) {
+            console.warn('Could not save active profile to local storage:', error);
+        }
+    },
+
+    loadActiveProfile() {
+        try {
+            return localStorage.getItem(CONFIG.STORAGE_KEYS.ACTIVE_PROFILE) || '';
+        } catch (error) {
+            console.warn('Could not load active profile from local storage:', error);
+            return '';
+        }
+    },
+
+    saveStorageBackend(backend) {
+        try {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.STORAGE_BACKEND, backend);
+        } catch (error) {
+            console.warn('Could not save storage backend to local storage:', error);
+        }
+    },
+
+    loadStorageBackend() {
+        try {
+            return localStorage.getItem(CONFIG.STORAGE_KEYS.STORAGE_BACKEND) || CONFIG.STORAGE_BACKENDS.GOOGLE;
+        } catch (error) {
+            console.warn('Could not load storage backend from local storage:', error);
+            return CONFIG.STORAGE_BACKENDS.GOOGLE;
+        }
+    },
+
     clearApiKey() {
         try {
             localStorage.removeItem(CONFIG.STORAGE_KEYS.API_KEY);
@@ -221,10 +363,91 @@ const StorageHelper = {
 
 // Helper function to get today's date in MM/DD/YYYY format
 function getTodayString() {
-    const today = new Date();
-    return (today.getMonth() + 1).toString().padStart(2, '0') + '/' + 
-           today.getDate().toString().padStart(2, '0') + '/' + 
-           today.getFullYear();
+    return formatDateString(new Date());
+}
+
+// Helper function to format any date in the MM/DD/YYYY format used by the sheets
+function formatDateString(date) {
+    return (date.getMonth() + 1).toString().padStart(2, '0') + '/' + 
+           date.getDate().toString().padStart(2, '0') + '/' + 
+           date.getFullYear();
+}
+
+// Helper function to parse an MM/DD/YYYY sheet date back into a local Date
+function parseDateString(dateString) {
+    const [month, day, year] = dateString.split('/');
+    return new Date(year, month - 1, day);
+}
+
+// Helper function to get a new date offset by a number of days
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+// Helper function to turn a 0-based column index into its A1 letters (0 = "A", 25 = "Z", 26 = "AA")
+function columnToLetter(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+    }
+    return letters;
+}
+
+// Helper function to turn A1 column letters back into a 0-based index ("A" = 0, "AA" = 26)
+function letterToColumn(letters) {
+    return letters.toUpperCase().split('')
+        .reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Helper function to get the A1 address of a cell from its 0-based column and 1-based row, e.g. "AB12"
+function cellAddress(columnIndex, rowNumber) {
+    return `${columnToLetter(columnIndex)}${rowNumber}`;
+}
+
+// Helper function to split a comma-separated cell into trimmed, non-empty values
+function parseListCell(value) {
+    if (!value) return [];
+    return value.split(',').map(entry => entry.trim()).filter(entry => entry);
+}
+
+// Helper function to parse a schedule Days cell ("Mon-Fri", "Sat, Sun", "Weekends") into the
+// set of weekday numbers it covers (0 = Sunday). Returns null for an empty cell, meaning every day.
+function parseDaysCell(value) {
+    const entries = parseListCell(value);
+    if (entries.length === 0) return null;
+    
+    const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    const dayNumber = name => {
+        const token = name.trim().toLowerCase();
+        const index = token.length >= 2 ? dayNames.findIndex(dayName => dayName.startsWith(token)) : -1;
+        if (index === -1) throw new Error(`"${name.trim()}" is not a day`);
+        return index;
+    };
+    
+    const days = new Set();
+    entries.forEach(entry => {
+        const lowerEntry = entry.toLowerCase();
+        if (lowerEntry === 'weekdays') {
+            [1, 2, 3, 4, 5].forEach(day => days.add(day));
+        } else if (lowerEntry === 'weekends') {
+            [0, 6].forEach(day => days.add(day));
+        } else if (lowerEntry === 'daily' || lowerEntry === 'every day') {
+            [0, 1, 2, 3, 4, 5, 6].forEach(day => days.add(day));
+        } else if (entry.includes('-')) {
+            // Ranges may wrap around the weekend, e.g. Fri-Mon
+            const [start, end] = entry.split('-').map(dayNumber);
+            for (let day = start; ; day = (day + 1) % 7) {
+                days.add(day);
+                if (day === end) break;
+            }
+        } else {
+            days.add(dayNumber(entry));
+        }
+    });
+    
+    return days;
 }
 
 // Helper function to format time display
@@ -249,3 +472,34 @@ function formatTimeDisplay(timeString) {
         return timeString;
     }
 }
+
+// Helper function to format a prep estimate in minutes, e.g. "~25 min" or "~1 hr 30 min"
+function formatPrepTime(minutes) {
+    if (minutes < 60) return `~${minutes} min`;
+    
+    const hours = Math.floor(minutes / 60);
+    const remainder = minutes % 60;
+    return `~${hours} hr${remainder ? ` ${remainder} min` : ''}`;
+}
+
+// Helper function to turn a schedule time like "8:00 AM" into a time input value ("08:00")
+function timeToInputValue(timeString) {
+    const match = (timeString || '').trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+    if (!match) return '';
+    
+    let hours = parseInt(match[1], 10) % 24;
+    const period = (match[3] || '').toUpperCase();
+    if (period === 'PM' && hours < 12) hours += 12;
+    if (period === 'AM' && hours === 12) hours = 0;
+    
+    return `${hours.toString().padStart(2, '0')}:${match[2]}`;
+}
+
+// Helper function to turn a time input value ("13:30") back into the schedule format ("1:30 PM")
+function inputValueToTime(value) {
+    if (!value) return '';
+    
+    const [hours, minutes] = value.split(':').map(part => parseInt(part, 10));
+    const period = hours >= 12 ? 'PM' : 'AM';
+    return `${hours % 12 || 12}:${minutes.toString().padStart(2, '0')} ${period}`;
+}
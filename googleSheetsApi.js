@@ -1,10 +1,15 @@
 // Google Sheets API Integration with Home Secrets Service
-class GoogleSheetsAPI {
+class GoogleSheetsAPI extends SheetStore {
     constructor() {
+        super();
         this.isInitialized = false;
         this.isSignedIn = false;
         this.accessToken = null;
         this.silentAuthInterval = null;
+        this.syncPromise = null; // In-flight replay of queued writes
+        this.pendingWriteCount = null; // Queued writes not on the server yet, unknown until the first replay
+        this.writesInFlight = 0;
+        this.writeGeneration = 0; // Bumped as writes start and finish, so change detection can skip overlapping ones
     }
 
     async initialize() {
@@ -297,25 +302,6 @@ class GoogleSheetsAPI {
         }
     }
 
-    async initializeSheetsWithDummyData() {
-        try {
-            console.log('Initializing sheets with dummy data...');
-            
-            // Initialize each sheet with its dummy data
-            for (const [sheetKey, dummyData] of Object.entries(CONFIG.DUMMY_DATA)) {
-                const sheetName = CONFIG.SHEETS[sheetKey];
-                console.log(`Initializing ${sheetName} with dummy data...`);
-                
-                await this.writeRange(sheetName, 'A1', dummyData);
-            }
-            
-            console.log('All sheets initialized with dummy data');
-        } catch (error) {
-            console.error('Error initializing sheets with dummy data:', error);
-            throw error;
-        }
-    }
-
     async testConnection() {
         try {
             await this.ensureSignedIn();
@@ -408,7 +394,10 @@ class GoogleSheetsAPI {
             });
             
             const existingSheetNames = response.result.sheets.map(sheet => sheet.properties.title);
-            const expectedSheetNames = Object.values(CONFIG.SHEETS);
+            // Optional sheets are created on connect, so they shouldn't disqualify an older spreadsheet
+            const expectedSheetNames = Object.entries(CONFIG.SHEETS)
+                .filter(([key]) => !CONFIG.OPTIONAL_SHEET_KEYS.includes(key))
+                .map(([, sheetName]) => sheetName);
             
             // Check if all expected sheets exist
             const hasAllSheets = expectedSheetNames.every(sheetName => 
@@ -428,6 +417,49 @@ class GoogleSheetsAPI {
         }
     }
 
+    async ensureSheetsExist() {
+        await this.ensureSignedIn();
+
+        try {
+            const response = await gapi.client.sheets.spreadsheets.get({
+                spreadsheetId: CONFIG.SPREADSHEET_ID,
+                fields: 'sheets.properties.title'
+            });
+            
+            const existingSheetNames = response.result.sheets.map(sheet => sheet.properties.title);
+            const missingSheetKeys = Object.keys(CONFIG.SHEETS).filter(key => 
+                !existingSheetNames.includes(CONFIG.SHEETS[key])
+            );
+            
+            if (missingSheetKeys.length === 0) {
+                return [];
+            }
+            
+            console.log('Adding missing sheets:', missingSheetKeys.map(key => CONFIG.SHEETS[key]));
+            
+            await gapi.client.sheets.spreadsheets.batchUpdate({
+                spreadsheetId: CONFIG.SPREADSHEET_ID,
+                requests: missingSheetKeys.map(key => ({
+                    addSheet: {
+                        properties: {
+                            title: CONFIG.SHEETS[key]
+                        }
+                    }
+                }))
+            });
+            
+            // Only write the header row - sample data is for brand new spreadsheets
+            for (const key of missingSheetKeys) {
+                await this.writeRange(CONFIG.SHEETS[key], 'A1', [CONFIG.DUMMY_DATA[key][0]]);
+            }
+            
+            return missingSheetKeys.map(key => CONFIG.SHEETS[key]);
+        } catch (error) {
+            console.error('Error ensuring sheets exist:', error);
+            throw error;
+        }
+    }
+
     async checkOrCreateSpreadsheet() {
         await this.ensureSignedIn();
 
@@ -483,10 +515,16 @@ class GoogleSheetsAPI {
     }
 
     async readRange(sheetName, range = '') {
+        const fullRange = range ? `${sheetName}!${range}` : sheetName;
+
+        // Queued writes aren't on the server yet, so the local copy is the one to trust until they sync
+        if (await this.isReadingFromCache()) {
+            return this.readCachedRange(sheetName, range);
+        }
+
         await this.ensureSignedIn();
 
         try {
-            const fullRange = range ? `${sheetName}!${range}` : sheetName;
             console.log(`Reading range: ${fullRange}`);
             
             const response = await gapi.client.sheets.spreadsheets.values.get({
@@ -494,392 +532,390 @@ class GoogleSheetsAPI {
                 range: fullRange,
             });
             
-            return response.result.values || [];
+            const values = response.result.values || [];
+            if (!range) {
+                await offlineStore.putSheet(CONFIG.SPREADSHEET_ID, sheetName, values);
+            }
+            return values;
         } catch (error) {
+            if (this.isNetworkError(error)) {
+                console.warn(`Network unavailable, reading ${fullRange} from the offline cache`);
+                return this.readCachedRange(sheetName, range);
+            }
             console.error(`Error reading range ${sheetName}!${range}:`, error);
             throw error;
         }
     }
 
     async writeRange(sheetName, range, values) {
-        await this.ensureSignedIn();
-
-        try {
-            const response = await gapi.client.sheets.spreadsheets.values.update({
-                spreadsheetId: CONFIG.SPREADSHEET_ID,
-                range: `${sheetName}!${range}`,
-                valueInputOption: 'RAW',
-                resource: {
-                    values: values
-                }
-            });
-            
-            return response.result;
-        } catch (error) {
-            console.error(`Error writing to range ${sheetName}!${range}:`, error);
-            throw error;
-        }
+        return this.runWrite({ type: 'write', sheetName, range, values });
     }
 
     async appendRange(sheetName, values) {
-        await this.ensureSignedIn();
-
-        try {
-            const response = await gapi.client.sheets.spreadsheets.values.append({
-                spreadsheetId: CONFIG.SPREADSHEET_ID,
-                range: sheetName,
-                valueInputOption: 'RAW',
-                resource: {
-                    values: values
-                }
-            });
-            
-            return response.result;
-        } catch (error) {
-            console.error(`Error appending to ${sheetName}:`, error);
-            throw error;
-        }
+        return this.runWrite({ type: 'append', sheetName, values });
     }
 
     async clearRange(sheetName, range) {
-        await this.ensureSignedIn();
-
-        try {
-            const response = await gapi.client.sheets.spreadsheets.values.clear({
-                spreadsheetId: CONFIG.SPREADSHEET_ID,
-                range: `${sheetName}!${range}`,
-            });
-            
-            return response.result;
-        } catch (error) {
-            console.error(`Error clearing range ${sheetName}!${range}:`, error);
-            throw error;
-        }
+        return this.runWrite({ type: 'clear', sheetName, range });
     }
 
-    // Specific methods for each sheet type
-    async getItems() {
-        const data = await this.readRange(CONFIG.SHEETS.ITEMS);
-        if (data.length === 0) return [];
-        
-        const headers = data[0];
-        return data.slice(1).map(row => {
-            const item = {};
-            headers.forEach((header, index) => {
-                item[header] = row[index] || '';
-            });
-            return item;
-        });
+    async batchWriteRanges(sheetName, data) {
+        return this.runWrite({ type: 'batch', sheetName, data });
     }
 
-    async getSchedule() {
-        const data = await this.readRange(CONFIG.SHEETS.SCHEDULE);
-        if (data.length === 0) return [];
-        
-        const headers = data[0];
-        return data.slice(1).map(row => {
-            const meal = {};
-            headers.forEach((header, index) => {
-                meal[header] = row[index] || '';
-            });
-            return meal;
-        });
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
     }
 
-    async getGroceryList() {
-        const data = await this.readRange(CONFIG.SHEETS.GROCERY);
-        if (data.length === 0) return [];
+    /**
+     * Failed requests (no connection, DNS, timeouts) as opposed to errors returned by the API
+     */
+    isNetworkError(error) {
+        if (this.isOffline()) return true;
+        if (!error) return false;
         
-        // Return just the list of items needed
-        return data.slice(1).map(row => row[0]).filter(item => item);
+        // gapi rejects network failures with no HTTP status and error code -1
+        const apiError = error.result && error.result.error;
+        return error.status === 0 || error.status === null || (apiError && apiError.code === -1);
+    }
+
+    /**
+     * The queue is replayed once per session (here, if nothing has yet), when the connection
+     * comes back and before later writes - not on every read
+     */
+    async isReadingFromCache() {
+        if (this.isOffline()) return true;
+        if (this.pendingWriteCount === null) {
+            await this.syncPendingWrites();
+        }
+        return this.pendingWriteCount > 0;
     }
 
-    async getCurrentMeals() {
-        const data = await this.readRange(CONFIG.SHEETS.CURRENT);
-        if (data.length === 0) return [];
-        
-        const headers = data[0];
-        return data.slice(1).map(row => {
-            const meal = {};
-            headers.forEach((header, index) => {
-                meal[header] = row[index] || '';
-            });
-            return meal;
-        });
+    async readCachedRange(sheetName, range = '') {
+        const values = await offlineStore.getSheet(CONFIG.SPREADSHEET_ID, sheetName);
+        if (values === null) {
+            throw new Error(`The ${sheetName} sheet isn't available offline yet - reconnect to load it`);
+        }
+        return offlineStore.readGrid(values, range);
     }
 
-    async updateLastUsed(itemName, date) {
+    /**
+     * Send a write straight away when possible. Otherwise (offline, or earlier writes still
+     * waiting) apply it to the local copy and queue it to replay in order once back online.
+     */
+    async runWrite(operation) {
+        this.writesInFlight++;
+        this.writeGeneration++;
+        
         try {
-            // Get all items to find the row
-            const allData = await this.readRange(CONFIG.SHEETS.ITEMS);
-            const headers = allData[0];
-            const lastUsedIndex = headers.indexOf('Last Used');
-            const itemIndex = headers.indexOf('Item');
-            
-            if (lastUsedIndex === -1 || itemIndex === -1) {
-                throw new Error('Required columns not found in items sheet');
-            }
-
-            // Find the item row
-            for (let i = 1; i < allData.length; i++) {
-                if (allData[i][itemIndex] === itemName) {
-                    const rowNumber = i + 1; // 1-indexed
-                    const column = String.fromCharCode(65 + lastUsedIndex); // Convert to letter
-                    await this.writeRange(CONFIG.SHEETS.ITEMS, `${column}${rowNumber}`, [[date]]);
-                    break;
+            // Earlier writes still waiting go first, so this one doesn't overtake them
+            if (!this.isOffline() && (this.pendingWriteCount === 0 || await this.syncPendingWrites() === 0)) {
+                try {
+                    const result = await this.sendWrite(operation);
+                    await this.applyWriteToCache(operation);
+                    return result;
+                } catch (error) {
+                    if (!this.isNetworkError(error)) {
+                        throw error;
+                    }
+                    console.warn(`Network unavailable, queueing ${operation.type} on ${operation.sheetName}`);
                 }
             }
-        } catch (error) {
-            console.error('Error updating last used date:', error);
-            throw error;
+            
+            await this.applyWriteToCache(operation);
+            await offlineStore.enqueue({ ...operation, spreadsheetId: CONFIG.SPREADSHEET_ID });
+            this.pendingWriteCount = (this.pendingWriteCount || 0) + 1;
+            return { queued: true };
+        } finally {
+            this.writesInFlight--;
+            this.writeGeneration++;
         }
     }
 
-    async saveCurrentMeals(meals) {
+    async sendWrite(operation) {
+        await this.ensureSignedIn();
+
+        const spreadsheetId = operation.spreadsheetId || CONFIG.SPREADSHEET_ID;
+        const { sheetName, range, values } = operation;
+
         try {
-            // Clear current sheet first
-            await this.clearRange(CONFIG.SHEETS.CURRENT, 'A:Z');
-            
-            // Prepare data with headers including date and status
-            const headers = ['date', 'meal name', 'status', 'item 1', 'item 2', 'item 3', 'item 4'];
-            const data = [headers];
-            
-            const today = getTodayString();
-            meals.forEach(meal => {
-                const row = [today, meal.name, meal.status || 'pending'];
-                
-                // Add items (up to 4)
-                for (let i = 0; i < 4; i++) {
-                    if (i < meal.items.length) {
-                        row.push(meal.items[i].Item || meal.items[i].name || meal.items[i]);
-                    } else {
-                        row.push('');
+            let response;
+            if (operation.type === 'write') {
+                response = await gapi.client.sheets.spreadsheets.values.update({
+                    spreadsheetId: spreadsheetId,
+                    range: `${sheetName}!${range}`,
+                    valueInputOption: 'RAW',
+                    resource: {
+                        values: values
                     }
-                }
-                
-                data.push(row);
-            });
+                });
+            } else if (operation.type === 'append') {
+                response = await gapi.client.sheets.spreadsheets.values.append({
+                    spreadsheetId: spreadsheetId,
+                    range: sheetName,
+                    valueInputOption: 'RAW',
+                    resource: {
+                        values: values
+                    }
+                });
+            } else if (operation.type === 'clear') {
+                response = await gapi.client.sheets.spreadsheets.values.clear({
+                    spreadsheetId: spreadsheetId,
+                    range: range ? `${sheetName}!${range}` : sheetName,
+                });
+            } else if (operation.type === 'delete') {
+                response = await this.sendDeleteRow(spreadsheetId, sheetName, operation.rowNumber);
+            } else if (operation.type === 'batch') {
+                response = await gapi.client.sheets.spreadsheets.values.batchUpdate({
+                    spreadsheetId: spreadsheetId,
+                    resource: {
+                        valueInputOption: 'RAW',
+                        data: operation.data.map(entry => ({
+                            range: `${sheetName}!${entry.range}`,
+                            values: entry.values
+                        }))
+                    }
+                });
+            } else {
+                throw new Error(`Unknown write operation: ${operation.type}`);
+            }
             
-            await this.writeRange(CONFIG.SHEETS.CURRENT, 'A1', data);
+            return response.result;
         } catch (error) {
-            console.error('Error saving current meals:', error);
+            const target = operation.type === 'delete' ? ` row ${operation.rowNumber}` : (range ? `!${range}` : '');
+            console.error(`Error running ${operation.type} on ${sheetName}${target}:`, error);
             throw error;
         }
     }
 
-    async addMealToHistory(meal) {
-        try {
-            // Create history row from meal object
-            const mealDate = meal.date || getTodayString(); // fallback to today if no date
-            const row = [mealDate, meal.name];
-            for (let i = 0; i < 4; i++) {
-                const item = meal.items[i];
-                row.push(item ? (item.Item || item.name) : '');
-            }
-
-            // Append to history
-            await this.appendRange(CONFIG.SHEETS.HISTORY, [row]);
-            console.log(`Added meal "${meal.name}" to history`);
-        } catch (error) {
-            console.error('Error adding meal to history:', error);
-            throw error;
+    async applyWriteToCache(operation) {
+        const values = await offlineStore.getSheet(CONFIG.SPREADSHEET_ID, operation.sheetName);
+        
+        // Nothing to update if the sheet was never cached; it'll be cached on the next full read
+        if (values === null) return;
+        
+        let updated;
+        if (operation.type === 'write') {
+            updated = offlineStore.applyWrite(values, operation.range, operation.values);
+        } else if (operation.type === 'append') {
+            updated = offlineStore.applyAppend(values, operation.values);
+        } else if (operation.type === 'batch') {
+            updated = operation.data.reduce((grid, entry) => offlineStore.applyWrite(grid, entry.range, entry.values), values);
+        } else if (operation.type === 'delete') {
+            updated = offlineStore.applyDeleteRow(values, operation.rowNumber);
+        } else {
+            updated = offlineStore.applyClear(values, operation.range);
         }
+        
+        await offlineStore.putSheet(CONFIG.SPREADSHEET_ID, operation.sheetName, updated);
     }
 
-    async moveCompletedToHistory() {
-        try {
-            const currentMeals = await this.getCurrentMeals();
-            if (currentMeals.length === 0) return;
-
-            // Filter only completed meals
-            const completedMeals = currentMeals.filter(meal => meal.status === 'completed');
-            if (completedMeals.length === 0) {
-                console.log('No completed meals to move to history');
-                return;
-            }
-
-            // Current meals already have date, so we can use them directly
-            const historyData = completedMeals.map(meal => {
-                const row = [meal.date, meal['meal name']];
-                for (let i = 1; i <= 4; i++) {
-                    row.push(meal[`item ${i}`] || '');
-                }
-                return row;
-            });
+    /**
+     * Replay queued writes for this spreadsheet in order. Stops at the first network failure
+     * and returns how many are still waiting. Writes the API rejects are logged and dropped
+     * so one bad write can't block the rest. Row writes and deletes are first pointed at the
+     * rows their records are in now (see resolveQueuedWrite).
+     */
+    async syncPendingWrites() {
+        if (this.syncPromise) return this.syncPromise;
 
-            // Append to history
-            await this.appendRange(CONFIG.SHEETS.HISTORY, historyData);
-            console.log(`Moved ${completedMeals.length} completed meals to history`);
+        this.syncPromise = (async () => {
+            const queue = (await offlineStore.getQueue())
+                .filter(operation => operation.spreadsheetId === CONFIG.SPREADSHEET_ID);
+            this.pendingWriteCount = queue.length;
+            if (queue.length === 0) return 0;
             
-            // Remove completed meals from current
-            const remainingMeals = currentMeals.filter(meal => meal.status !== 'completed');
+            console.log(`Syncing ${queue.length} queued write(s)...`);
+            let remaining = queue.length;
             
-            // Clear current sheet first
-            await this.clearRange(CONFIG.SHEETS.CURRENT, 'A:Z');
+            for (const operation of queue) {
+                if (this.isOffline()) break;
+                
+                try {
+                    const resolved = await this.resolveQueuedWrite(operation);
+                    if (resolved) {
+                        await this.sendWrite(resolved);
+                    }
+                } catch (error) {
+                    if (this.isNetworkError(error)) break;
+                    if (error.message && error.message.includes('Authentication required')) throw error;
+                    console.error('Dropping queued write rejected by the server:', operation);
+                }
+                
+                await offlineStore.removeFromQueue(operation.id);
+                remaining--;
+                this.pendingWriteCount = remaining;
+            }
             
-            // Save remaining meals back to current sheet if any exist
-            if (remainingMeals.length > 0) {
-                await this.saveCurrentMeals(remainingMeals);
+            if (remaining === 0) {
+                console.log('All queued writes synced');
             }
-        } catch (error) {
-            console.error('Error moving completed meals to history:', error);
-            throw error;
+            return remaining;
+        })();
+
+        try {
+            return await this.syncPromise;
+        } finally {
+            this.syncPromise = null;
         }
     }
 
-    async moveCurrentToHistory() {
-        try {
-            const currentMeals = await this.getCurrentMeals();
-            if (currentMeals.length === 0) return;
-
-            // Current meals already have date, so we can use them directly
-            const historyData = currentMeals.map(meal => {
-                const row = [meal.date, meal['meal name']];
-                for (let i = 1; i <= 4; i++) {
-                    row.push(meal[`item ${i}`] || '');
-                }
-                return row;
+    /**
+     * Other devices may have added, removed or reordered rows since a write was queued, so its
+     * row numbers can be stale. Cells written through updateRecords carry the match and field
+     * they were for, and deletes a match for the row: these are looked up again in the
+     * sheet as it is on the server. Cells whose record is gone are dropped, as are cells with a
+     * base value another device has since changed, and a delete whose row is gone is skipped
+     * (returning null). Other writes are sent as queued.
+     */
+    async resolveQueuedWrite(operation) {
+        const keyed = operation.type === 'delete' ? !!operation.match :
+            operation.type === 'batch' && operation.data.some(entry => entry.match);
+        if (!keyed) return operation;
+
+        await this.ensureSignedIn();
+
+        const response = await gapi.client.sheets.spreadsheets.values.get({
+            spreadsheetId: operation.spreadsheetId,
+            range: operation.sheetName
+        });
+        const [headers = [], ...rows] = response.result.values || [];
+        const records = rows.map(values => {
+            const record = {};
+            headers.forEach((header, column) => {
+                record[header] = values[column] || '';
             });
+            return record;
+        });
 
-            // Append to history
-            await this.appendRange(CONFIG.SHEETS.HISTORY, historyData);
-            
-            // Clear current
-            await this.clearRange(CONFIG.SHEETS.CURRENT, 'A:Z');
-        } catch (error) {
-            console.error('Error moving current to history:', error);
-            throw error;
+        if (operation.type === 'delete') {
+            // The last matching row, like the history entry it usually is
+            const index = records.map(record => this.recordMatches(record, operation.match)).lastIndexOf(true);
+            if (index === -1) {
+                console.warn(`Skipping queued delete on ${operation.sheetName}: the row is already gone`);
+                return null;
+            }
+            return { ...operation, rowNumber: index + 2 };
         }
-    }
 
-    async deleteItem(itemName) {
-        try {
-            // Get all items to find the row
-            const allData = await this.readRange(CONFIG.SHEETS.ITEMS);
-            const headers = allData[0];
-            const itemIndex = headers.indexOf('Item');
-            
-            if (itemIndex === -1) {
-                throw new Error('Item column not found in items sheet');
-            }
+        const data = operation.data.map(entry => {
+            if (!entry.match) return entry;
 
-            // Find the item row to delete
-            let rowToDelete = -1;
-            for (let i = 1; i < allData.length; i++) {
-                if (allData[i][itemIndex] === itemName) {
-                    rowToDelete = i + 1; // 1-indexed
-                    break;
-                }
+            const index = records.findIndex(record => this.recordMatches(record, entry.match));
+            const column = this.findColumn(headers, entry.field);
+            if (index === -1 || column === -1) {
+                console.warn(`Dropping queued ${entry.field} on ${operation.sheetName}: the row is gone`, entry.match);
+                return null;
             }
 
-            if (rowToDelete === -1) {
-                throw new Error(`Item "${itemName}" not found`);
+            const value = records[index][headers[column]];
+            if (entry.base !== undefined && value !== entry.base && value !== String(entry.values[0][0])) {
+                console.warn(`Keeping ${entry.field} on ${operation.sheetName} as changed on another device`, entry.match);
+                return null;
             }
+            return { ...entry, range: cellAddress(column, index + 2) };
+        }).filter(entry => entry);
 
-            // Get spreadsheet metadata to find the correct sheet ID for items
-            const spreadsheetResponse = await gapi.client.sheets.spreadsheets.get({
-                spreadsheetId: CONFIG.SPREADSHEET_ID
-            });
-            
-            const itemsSheet = spreadsheetResponse.result.sheets.find(sheet => 
-                sheet.properties.title.toLowerCase() === CONFIG.SHEETS.ITEMS.toLowerCase()
-            );
-            
-            if (!itemsSheet) {
-                throw new Error('Items sheet not found in spreadsheet');
-            }
-            
-            const itemsSheetId = itemsSheet.properties.sheetId;
+        return data.length > 0 ? { ...operation, data } : null;
+    }
+
+    /**
+     * Fill the offline cache with every sheet in one request
+     */
+    async cacheAllSheets() {
+        await this.ensureSignedIn();
 
-            // Use Google Sheets API to delete the row
-            const response = await gapi.client.sheets.spreadsheets.batchUpdate({
+        try {
+            const sheetNames = Object.values(CONFIG.SHEETS);
+            const response = await gapi.client.sheets.spreadsheets.values.batchGet({
                 spreadsheetId: CONFIG.SPREADSHEET_ID,
-                requests: [{
-                    deleteDimension: {
-                        range: {
-                            sheetId: itemsSheetId,
-                            dimension: 'ROWS',
-                            startIndex: rowToDelete - 1, // 0-indexed for the API
-                            endIndex: rowToDelete
-                        }
-                    }
-                }]
+                ranges: sheetNames
             });
-
-            console.log(`Successfully deleted item: ${itemName}`);
-            return response.result;
+            
+            const valueRanges = response.result.valueRanges || [];
+            for (let i = 0; i < sheetNames.length; i++) {
+                await offlineStore.putSheet(CONFIG.SPREADSHEET_ID, sheetNames[i], (valueRanges[i] && valueRanges[i].values) || []);
+            }
+            console.log(`Cached ${sheetNames.length} sheets for offline use`);
         } catch (error) {
-            console.error('Error deleting item:', error);
-            throw error;
+            // The app still works online without a warm cache
+            console.warn('Could not cache sheets for offline use:', error);
         }
     }
 
-    async addItem(itemData) {
-        try {
-            // Get current items to understand the structure
-            const allData = await this.readRange(CONFIG.SHEETS.ITEMS);
-            if (allData.length === 0) {
-                throw new Error('Items sheet appears to be empty');
-            }
+    /**
+     * Which of the given sheets someone else changed since this device last saw them, in one
+     * request. The offline cache already has this device's own writes applied, so a server copy
+     * that differs from it was changed elsewhere; it then replaces the cached copy. Returns []
+     * while offline or while this device is writing, as its own write could look like someone else's.
+     */
+    async detectRemoteChanges(sheetNames) {
+        if (this.writesInFlight > 0 || await this.isReadingFromCache()) {
+            return [];
+        }
+        await this.ensureSignedIn();
 
-            const headers = allData[0];
+        const generation = this.writeGeneration;
+        try {
+            const response = await gapi.client.sheets.spreadsheets.values.batchGet({
+                spreadsheetId: CONFIG.SPREADSHEET_ID,
+                ranges: sheetNames
+            });
+            if (this.writeGeneration !== generation) return [];
             
-            // Check for duplicate item names
-            const existingItems = allData.slice(1);
-            const itemNameIndex = headers.indexOf('Item');
-            if (itemNameIndex !== -1) {
-                const existingItemNames = existingItems.map(row => row[itemNameIndex]?.toLowerCase());
-                if (existingItemNames.includes(itemData.name.toLowerCase())) {
-                    throw new Error(`An item named "${itemData.name}" already exists`);
+            const valueRanges = response.result.valueRanges || [];
+            const changedSheets = [];
+            for (let i = 0; i < sheetNames.length; i++) {
+                const values = offlineStore.normalizeGrid((valueRanges[i] && valueRanges[i].values) || []);
+                const cachedValues = await offlineStore.getSheet(CONFIG.SPREADSHEET_ID, sheetNames[i]);
+                
+                // A sheet that was never cached has nothing to compare against yet
+                if (cachedValues !== null && JSON.stringify(offlineStore.normalizeGrid(cachedValues)) !== JSON.stringify(values)) {
+                    changedSheets.push(sheetNames[i]);
                 }
+                await offlineStore.putSheet(CONFIG.SPREADSHEET_ID, sheetNames[i], values);
             }
-            
-            // Create a row with default values
-            const newRow = [];
-            headers.forEach(header => {
-                const headerLower = header.toLowerCase().trim();
-                switch (headerLower) {
-                    case 'item':
-                        newRow.push(itemData.name || '');
-                        break;
-                    case 'carb':
-                        newRow.push(itemData.carb === '1' ? 'y' : '');
-                        break;
-                    case 'protein':
-                        newRow.push(itemData.protein === '1' ? 'y' : '');
-                        break;
-                    case 'fruit':
-                        newRow.push(itemData.fruit === '1' ? 'y' : '');
-                        break;
-                    case 'veggie':
-                        newRow.push(itemData.veggie === '1' ? 'y' : '');
-                        break;
-                    case 'difficulty':
-                        newRow.push(itemData.difficulty || '1');
-                        break;
-                    case 'last used':
-                        newRow.push('never');
-                        break;
-                    case 'tags':
-                        newRow.push(''); // Leave tags empty for manual entry if needed
-                        break;
-                    default:
-                        newRow.push('');
-                        break;
-                }
-            });
-
-            // Append the new item
-            await this.appendRange(CONFIG.SHEETS.ITEMS, [newRow]);
-            console.log(`Successfully added item: ${itemData.name}`);
-            
-            return true;
+            return changedSheets;
         } catch (error) {
-            console.error('Error adding item:', error);
+            if (this.isNetworkError(error)) {
+                return [];
+            }
+            console.error('Error checking for changes from other devices:', error);
             throw error;
         }
     }
-}
 
-// Create global instance
-const sheetsAPI = new GoogleSheetsAPI();
+    async deleteRow(sheetName, rowNumber, match = null) {
+        return this.runWrite({ type: 'delete', sheetName, rowNumber, match });
+    }
+
+    async sendDeleteRow(spreadsheetId, sheetName, rowNumber) {
+        // Get spreadsheet metadata to find the correct sheet ID
+        const spreadsheetResponse = await gapi.client.sheets.spreadsheets.get({
+            spreadsheetId: spreadsheetId
+        });
+        
+        const sheet = spreadsheetResponse.result.sheets.find(candidate => 
+            candidate.properties.title.toLowerCase() === sheetName.toLowerCase()
+        );
+        
+        if (!sheet) {
+            throw new Error(`${sheetName} sheet not found in spreadsheet`);
+        }
+
+        // Use Google Sheets API to delete the row
+        return gapi.client.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: spreadsheetId,
+            requests: [{
+                deleteDimension: {
+                    range: {
+                        sheetId: sheet.properties.sheetId,
+                        dimension: 'ROWS',
+                        startIndex: rowNumber - 1, // 0-indexed for the API
+                        endIndex: rowNumber
+                    }
+                }
+            }]
+        });
+    }
+}
@@ -0,0 +1,198 @@
+// Grocery List View - check items off while shopping and restock them afterwards
+class GroceryView {
+    constructor() {
+        this.isOpen = false;
+        this.entries = [];
+    }
+
+    async open() {
+        this.isOpen = true;
+        app.showView('groceryView');
+        await this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        app.showView('dashboardView');
+    }
+
+    async refreshIfOpen() {
+        if (this.isOpen) {
+            await this.render();
+        }
+    }
+
+    async render() {
+        try {
+            app.showLoading('Loading grocery list...');
+
+            // Items feed the suggestions and tell free-text entries apart
+            await mealGenerator.loadData();
+            this.entries = await sheetsAPI.getGroceryEntries();
+
+            this.renderSuggestions();
+            this.renderList();
+
+            app.hideLoading();
+        } catch (error) {
+            console.error('Error rendering grocery list:', error);
+            app.hideLoading();
+
+            if (error.message && error.message.includes('Authentication required')) {
+                app.handleAuthError(error);
+            } else {
+                app.showError('Failed to load the grocery list. Please try again.');
+            }
+        }
+    }
+
+    renderSuggestions() {
+        const datalist = document.getElementById('groceryItemSuggestions');
+        datalist.innerHTML = '';
+
+        mealGenerator.items
+            .map(item => item.Item)
+            .sort((a, b) => a.localeCompare(b))
+            .forEach(itemName => {
+                const option = document.createElement('option');
+                option.value = itemName;
+                datalist.appendChild(option);
+            });
+    }
+
+    renderList() {
+        const list = document.getElementById('groceryList');
+        list.innerHTML = '';
+
+        const boughtCount = this.entries.filter(entry => entry.Bought === 'y').length;
+        const restockBtn = document.getElementById('restockBtn');
+        restockBtn.disabled = boughtCount === 0;
+        restockBtn.textContent = boughtCount > 0 ? `I Went Shopping (${boughtCount})` : 'I Went Shopping';
+
+        if (this.entries.length === 0) {
+            list.innerHTML = '<div class="grocery-empty">Nothing on the list. Add items above or from a meal card\'s swap options.</div>';
+            return;
+        }
+
+        // Still-needed items first, bought ones sink to the bottom
+        const sortedEntries = [...this.entries].sort((a, b) => (a.Bought === 'y') - (b.Bought === 'y'));
+
+        sortedEntries.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'grocery-row';
+            if (entry.Bought === 'y') {
+                row.classList.add('bought');
+            }
+
+            const label = document.createElement('label');
+            label.className = 'grocery-check';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = entry.Bought === 'y';
+            checkbox.addEventListener('change', () => this.toggleBought(entry, checkbox.checked));
+            label.appendChild(checkbox);
+
+            const name = document.createElement('span');
+            name.className = 'grocery-name';
+            name.textContent = entry.Item;
+            label.appendChild(name);
+
+            // Free-text entries (e.g. "diapers") don't affect meal generation
+            if (!mealGenerator.items.some(item => item.Item === entry.Item)) {
+                const note = document.createElement('span');
+                note.className = 'grocery-note';
+                note.textContent = 'not a meal item';
+                label.appendChild(note);
+            }
+
+            row.appendChild(label);
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'grocery-remove';
+            removeButton.title = 'Remove from list';
+            removeButton.innerHTML = '&times;';
+            removeButton.addEventListener('click', () => this.removeItems([entry.Item]));
+            row.appendChild(removeButton);
+
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Check an item off while shopping. It's in the cart, not in the kitchen yet, so meals keep
+     * leaving it out until restock() takes it off the list.
+     */
+    async toggleBought(entry, bought) {
+        try {
+            // Update the screen right away, the sheet write can lag behind on a slow connection
+            entry.Bought = bought ? 'y' : '';
+            this.renderList();
+
+            await sheetsAPI.setGroceryBought(entry.Item, bought);
+        } catch (error) {
+            console.error('Error checking off grocery item:', error);
+            app.showError('Failed to update the grocery list. Please try again.');
+            await this.render();
+        }
+    }
+
+    async addFromInput() {
+        const input = document.getElementById('groceryItemInput');
+        const itemName = input.value.trim();
+        if (!itemName) return;
+
+        try {
+            app.showLoading(`Adding "${itemName}"...`);
+
+            // Match the item library's spelling when the name is a known item
+            const knownItem = mealGenerator.items.find(item => item.Item.toLowerCase() === itemName.toLowerCase());
+            const added = await sheetsAPI.addGroceryItem(knownItem ? knownItem.Item : itemName);
+
+            input.value = '';
+            app.hideLoading();
+            await this.render();
+
+            if (!added) {
+                app.showTemporaryMessage(`"${itemName}" is already on the list`);
+            }
+        } catch (error) {
+            console.error('Error adding grocery item:', error);
+            app.hideLoading();
+            app.showError('Failed to add to the grocery list. Please try again.');
+        }
+    }
+
+    async removeItems(itemNames) {
+        try {
+            app.showLoading('Updating grocery list...');
+            await sheetsAPI.removeGroceryItems(itemNames);
+            app.hideLoading();
+            await this.render();
+        } catch (error) {
+            console.error('Error removing grocery items:', error);
+            app.hideLoading();
+            app.showError('Failed to update the grocery list. Please try again.');
+        }
+    }
+
+    /**
+     * Everything checked off has been bought - take it off the list so meals can use it again
+     */
+    async restock() {
+        const boughtItems = this.entries.filter(entry => entry.Bought === 'y').map(entry => entry.Item);
+        if (boughtItems.length === 0) return;
+
+        const confirmed = confirm(
+            `Remove ${boughtItems.length} bought item${boughtItems.length === 1 ? '' : 's'} from the list? ` +
+            'They\'ll be available for meals again.'
+        );
+        if (!confirmed) return;
+
+        await this.removeItems(boughtItems);
+        app.showTemporaryMessage(`Restocked ${boughtItems.join(', ')}`);
+    }
+}
+
+// Create global instance
+const groceryView = new GroceryView();
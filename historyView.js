@@ -0,0 +1,281 @@
+// History View - past meals grouped by day, with a month calendar and filters
+class HistoryView {
+    constructor() {
+        this.isOpen = false;
+        this.history = [];
+        this.month = this.getMonthStart(new Date());
+        this.selectedDate = null; // MM/DD/YYYY when one day is picked on the calendar
+    }
+
+    getMonthStart(date) {
+        return new Date(date.getFullYear(), date.getMonth(), 1);
+    }
+
+    async open() {
+        this.isOpen = true;
+        app.showView('historyView');
+        await this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        app.showView('dashboardView');
+    }
+
+    async refreshIfOpen() {
+        if (this.isOpen) {
+            await this.render();
+        }
+    }
+
+    previousMonth() {
+        this.month = new Date(this.month.getFullYear(), this.month.getMonth() - 1, 1);
+        this.renderCalendar();
+    }
+
+    nextMonth() {
+        this.month = new Date(this.month.getFullYear(), this.month.getMonth() + 1, 1);
+        this.renderCalendar();
+    }
+
+    async loadHistory() {
+        await mealGenerator.loadData();
+        this.history = mealGenerator.getMealHistory();
+    }
+
+    async render() {
+        try {
+            app.showLoading('Loading history...');
+
+            await this.loadHistory();
+            this.renderFilterOptions();
+            this.renderCalendar();
+            this.renderList();
+
+            app.hideLoading();
+        } catch (error) {
+            console.error('Error rendering history:', error);
+            app.hideLoading();
+
+            if (error.message && error.message.includes('Authentication required')) {
+                app.handleAuthError(error);
+            } else {
+                app.showError('Failed to load meal history. Please try again.');
+            }
+        }
+    }
+
+    renderFilterOptions() {
+        const categorySelect = document.getElementById('historyCategoryFilter');
+        const previousValue = categorySelect.value;
+        categorySelect.innerHTML = '<option value="">All categories</option>';
+        mealGenerator.getCategories().forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = category;
+            categorySelect.appendChild(option);
+        });
+        categorySelect.value = mealGenerator.getCategories().includes(previousValue) ? previousValue : '';
+
+        // Suggest every item that shows up in the history
+        const datalist = document.getElementById('historyItemSuggestions');
+        datalist.innerHTML = '';
+        [...new Set(this.history.flatMap(row => mealGenerator.planRowToMeal(row).items.map(item => item.Item)))]
+            .sort((a, b) => a.localeCompare(b))
+            .forEach(itemName => {
+                const option = document.createElement('option');
+                option.value = itemName;
+                datalist.appendChild(option);
+            });
+    }
+
+    /**
+     * History rows matching the item and category filters (the calendar day is applied separately)
+     */
+    getFilteredRows() {
+        const itemFilter = document.getElementById('historyItemFilter').value.trim().toLowerCase();
+        const categoryFilter = document.getElementById('historyCategoryFilter').value;
+
+        return this.history.filter(row => {
+            const items = mealGenerator.planRowToMeal(row).items;
+            if (itemFilter && !items.some(item => item.Item.toLowerCase().includes(itemFilter))) {
+                return false;
+            }
+            if (categoryFilter && !items.some(item => item[categoryFilter] === 'y')) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    renderCalendar() {
+        const calendar = document.getElementById('historyCalendar');
+        calendar.innerHTML = '';
+
+        document.getElementById('historyMonthLabel').textContent =
+            this.month.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+        // Meals per day for the filtered history
+        const mealCounts = new Map();
+        this.getFilteredRows().forEach(row => {
+            mealCounts.set(row.date, (mealCounts.get(row.date) || 0) + 1);
+        });
+
+        ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].forEach(dayName => {
+            const header = document.createElement('div');
+            header.className = 'history-calendar-header';
+            header.textContent = dayName;
+            calendar.appendChild(header);
+        });
+
+        // Weeks run Monday to Sunday, like the week view
+        const leadingBlanks = (this.month.getDay() + 6) % 7;
+        for (let i = 0; i < leadingBlanks; i++) {
+            calendar.appendChild(document.createElement('div'));
+        }
+
+        const daysInMonth = new Date(this.month.getFullYear(), this.month.getMonth() + 1, 0).getDate();
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = new Date(this.month.getFullYear(), this.month.getMonth(), day);
+            const dateString = formatDateString(date);
+            const mealCount = mealCounts.get(dateString) || 0;
+
+            const dayElement = document.createElement('button');
+            dayElement.className = 'history-calendar-day';
+            dayElement.textContent = day;
+            if (dateString === getTodayString()) dayElement.classList.add('today');
+            if (dateString === this.selectedDate) dayElement.classList.add('selected');
+
+            if (mealCount > 0) {
+                dayElement.classList.add('has-meals');
+                dayElement.title = `${mealCount} meal${mealCount === 1 ? '' : 's'}`;
+                dayElement.addEventListener('click', () => this.selectDate(dateString));
+            } else {
+                dayElement.disabled = true;
+            }
+
+            calendar.appendChild(dayElement);
+        }
+    }
+
+    selectDate(dateString) {
+        // Clicking the selected day again shows every day
+        this.selectedDate = this.selectedDate === dateString ? null : dateString;
+        this.renderCalendar();
+        this.renderList();
+    }
+
+    clearSelectedDate() {
+        this.selectedDate = null;
+        this.renderCalendar();
+        this.renderList();
+    }
+
+    applyFilters() {
+        this.renderCalendar();
+        this.renderList();
+    }
+
+    renderList() {
+        const list = document.getElementById('historyList');
+        list.innerHTML = '';
+
+        document.getElementById('historyShowAllBtn').style.display = this.selectedDate ? '' : 'none';
+
+        const rows = this.getFilteredRows().filter(row => !this.selectedDate || row.date === this.selectedDate);
+        if (rows.length === 0) {
+            list.innerHTML = `<div class="library-empty">${this.history.length === 0 ?
+                'No meals in the history yet. Completed meals show up here.' : 'No meals match.'}</div>`;
+            return;
+        }
+
+        // Group by date, newest first, keeping the schedule order within a day
+        const dates = [...new Set(rows.map(row => row.date))]
+            .sort((a, b) => parseDateString(b) - parseDateString(a));
+        const mealOrder = [...new Set(mealGenerator.getScheduleForProfile().map(scheduledMeal => scheduledMeal.Name))];
+
+        dates.forEach(dateString => {
+            const dayElement = document.createElement('div');
+            dayElement.className = 'history-day';
+
+            const header = document.createElement('div');
+            header.className = 'history-day-header';
+
+            const title = document.createElement('h3');
+            title.textContent = parseDateString(dateString).toLocaleDateString('en-US', {
+                weekday: 'long', month: 'short', day: 'numeric', year: 'numeric'
+            });
+            header.appendChild(title);
+
+            const weekButton = document.createElement('button');
+            weekButton.className = 'small-btn history-week-btn';
+            weekButton.textContent = 'Show Week';
+            weekButton.title = 'See this day alongside the rest of its week';
+            weekButton.addEventListener('click', () => weekView.openAt(parseDateString(dateString)));
+            header.appendChild(weekButton);
+
+            dayElement.appendChild(header);
+
+            rows.filter(row => row.date === dateString)
+                .sort((a, b) => this.getMealPosition(a['meal name'], mealOrder) - this.getMealPosition(b['meal name'], mealOrder))
+                .forEach(row => dayElement.appendChild(this.renderMeal(row)));
+
+            list.appendChild(dayElement);
+        });
+    }
+
+    getMealPosition(mealName, mealOrder) {
+        const position = mealOrder.indexOf(mealName);
+        return position === -1 ? mealOrder.length : position;
+    }
+
+    renderMeal(row) {
+        const mealElement = document.createElement('div');
+        mealElement.className = 'history-meal';
+
+        const name = document.createElement('div');
+        name.className = 'history-meal-name';
+        name.textContent = row['meal name'];
+        mealElement.appendChild(name);
+
+        if (row.status === 'skipped') {
+            mealElement.classList.add('skipped');
+            name.textContent += ' (skipped)';
+        }
+
+        const items = document.createElement('div');
+        items.className = 'history-meal-items';
+
+        const meal = mealGenerator.planRowToMeal(row);
+        meal.items.forEach(item => {
+            const itemElement = document.createElement('div');
+            itemElement.className = 'history-item';
+
+            const itemName = document.createElement('span');
+            itemName.textContent = item.Item;
+            itemElement.appendChild(itemName);
+
+            mealGenerator.getItemCategories(item).forEach(category => {
+                itemElement.appendChild(app.createCategoryTag(category));
+            });
+
+            // Item columns and rating columns line up (item 2 -> rating 2)
+            const itemNumber = [1, 2, 3, 4].find(i => row[`item ${i}`] === item.Item);
+            const rating = CONFIG.RATINGS.find(option => option.value === row[`rating ${itemNumber}`]);
+            if (rating) {
+                const ratingElement = document.createElement('span');
+                ratingElement.className = `history-rating ${rating.value}`;
+                ratingElement.textContent = rating.label;
+                itemElement.appendChild(ratingElement);
+            }
+
+            items.appendChild(itemElement);
+        });
+
+        mealElement.appendChild(items);
+        return mealElement;
+    }
+}
+
+// Create global instance
+const historyView = new HistoryView();
@@ -0,0 +1,435 @@
+// Item Library View - search, create, edit and delete items, alone or in bulk
+class ItemLibraryView {
+    constructor() {
+        this.isOpen = false;
+        this.selectedItems = new Set();
+        this.editingItem = null; // null while the editor is creating a new item
+    }
+
+    async open() {
+        this.isOpen = true;
+        app.showView('itemLibraryView');
+        await this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        app.showView('dashboardView');
+    }
+
+    async refreshIfOpen() {
+        if (this.isOpen) {
+            await this.render();
+        }
+    }
+
+    async render() {
+        try {
+            app.showLoading('Loading items...');
+            await mealGenerator.loadData();
+
+            // Drop selections of items that no longer exist
+            const itemNames = new Set(mealGenerator.items.map(item => item.Item));
+            this.selectedItems = new Set([...this.selectedItems].filter(itemName => itemNames.has(itemName)));
+
+            this.renderCategoryOptions();
+            this.renderList();
+
+            app.hideLoading();
+        } catch (error) {
+            console.error('Error rendering item library:', error);
+            app.hideLoading();
+
+            if (error.message && error.message.includes('Authentication required')) {
+                app.handleAuthError(error);
+            } else {
+                app.showError('Failed to load your items. Please try again.');
+            }
+        }
+    }
+
+    renderCategoryOptions() {
+        ['libraryCategoryFilter', 'libraryBulkCategory'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            const previousValue = select.value;
+            const firstOption = select.options[0];
+
+            select.innerHTML = '';
+            select.appendChild(firstOption);
+            mealGenerator.getCategories().forEach(category => {
+                const option = document.createElement('option');
+                option.value = category;
+                option.textContent = category;
+                select.appendChild(option);
+            });
+
+            select.value = mealGenerator.getCategories().includes(previousValue) ? previousValue : '';
+        });
+    }
+
+    /**
+     * Items matching the search box (name, tags or allergens) and the category filter
+     */
+    getFilteredItems() {
+        const search = document.getElementById('librarySearchInput').value.trim().toLowerCase();
+        const category = document.getElementById('libraryCategoryFilter').value;
+
+        return mealGenerator.items
+            .filter(item => !category || item[category] === 'y')
+            .filter(item => !search || [item.Item, item.Tags, item.Allergens]
+                .some(value => (value || '').toLowerCase().includes(search)))
+            .sort((a, b) => a.Item.localeCompare(b.Item));
+    }
+
+    renderList() {
+        const list = document.getElementById('libraryList');
+        list.innerHTML = '';
+
+        const items = this.getFilteredItems();
+        document.getElementById('libraryCount').textContent =
+            `${items.length} of ${mealGenerator.items.length} item${mealGenerator.items.length === 1 ? '' : 's'}`;
+
+        if (items.length === 0) {
+            list.innerHTML = '<div class="library-empty">No items match.</div>';
+        }
+
+        items.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'library-row';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.selectedItems.has(item.Item);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.selectedItems.add(item.Item);
+                } else {
+                    this.selectedItems.delete(item.Item);
+                }
+                this.updateBulkActions();
+            });
+            row.appendChild(checkbox);
+
+            const details = document.createElement('div');
+            details.className = 'library-item-details';
+
+            const name = document.createElement('div');
+            name.className = 'library-item-name';
+            name.textContent = item.Item;
+            details.appendChild(name);
+
+            const tags = document.createElement('div');
+            tags.className = 'item-tags';
+            mealGenerator.getItemCategories(item).forEach(category => {
+                tags.appendChild(app.createCategoryTag(category));
+            });
+            parseListCell(item.Tags).forEach(tag => {
+                const tagElement = document.createElement('span');
+                tagElement.className = 'library-tag';
+                tagElement.textContent = tag;
+                tags.appendChild(tagElement);
+            });
+            details.appendChild(tags);
+
+            const meta = [];
+            if (item.Difficulty) meta.push(`Difficulty ${item.Difficulty}`);
+            if (item.Allergens) meta.push(`Allergens: ${item.Allergens}`);
+            if (item['Cooldown Days']) meta.push(`Cooldown ${item['Cooldown Days']} days`);
+            if (meta.length > 0) {
+                const metaElement = document.createElement('div');
+                metaElement.className = 'library-item-meta';
+                metaElement.textContent = meta.join(' · ');
+                details.appendChild(metaElement);
+            }
+
+            row.appendChild(details);
+
+            const editButton = document.createElement('button');
+            editButton.className = 'small-btn library-edit-btn';
+            editButton.textContent = 'Edit';
+            editButton.addEventListener('click', () => this.openEditor(item));
+            row.appendChild(editButton);
+
+            list.appendChild(row);
+        });
+
+        this.updateBulkActions();
+    }
+
+    updateBulkActions() {
+        const visibleNames = this.getFilteredItems().map(item => item.Item);
+        const selectAll = document.getElementById('librarySelectAll');
+        selectAll.checked = visibleNames.length > 0 && visibleNames.every(itemName => this.selectedItems.has(itemName));
+
+        document.getElementById('libraryBulkActions').style.display = this.selectedItems.size > 0 ? 'flex' : 'none';
+        document.getElementById('librarySelectedCount').textContent = `${this.selectedItems.size} selected`;
+    }
+
+    toggleSelectAll(checked) {
+        this.getFilteredItems().forEach(item => {
+            if (checked) {
+                this.selectedItems.add(item.Item);
+            } else {
+                this.selectedItems.delete(item.Item);
+            }
+        });
+        this.renderList();
+    }
+
+    getSelectedItems() {
+        return mealGenerator.items.filter(item => this.selectedItems.has(item.Item));
+    }
+
+    /**
+     * Run a storage change, then reload the items and show the result. action is an optional
+     * button for the message (e.g. Undo).
+     */
+    async applyChange(loadingMessage, change, successMessage, action = null) {
+        try {
+            app.showLoading(loadingMessage);
+            await change();
+            app.hideLoading();
+
+            await this.render();
+            app.showTemporaryMessage(successMessage, action);
+            return true;
+        } catch (error) {
+            console.error('Error changing items:', error);
+            app.hideLoading();
+
+            if (error.message && error.message.includes('Authentication required')) {
+                app.handleAuthError(error);
+            } else if (error.message && error.message.includes('already exists')) {
+                app.showError(error.message);
+            } else {
+                app.showError('Failed to update your items. Please try again.');
+            }
+            return false;
+        }
+    }
+
+    async bulkAddTag() {
+        const tag = (prompt('Tag to add to the selected items:') || '').trim();
+        if (!tag) return;
+
+        const updates = this.getSelectedItems()
+            .filter(item => !parseListCell(item.Tags).some(existing => existing.toLowerCase() === tag.toLowerCase()))
+            .map(item => ({ originalName: item.Item, tags: [...parseListCell(item.Tags), tag].join(', ') }));
+
+        await this.applyChange('Adding tag...', () => sheetsAPI.updateItems(updates), `Tagged ${updates.length} item(s) "${tag}"`);
+    }
+
+    async bulkRemoveTag() {
+        const tag = (prompt('Tag to remove from the selected items:') || '').trim();
+        if (!tag) return;
+
+        const updates = this.getSelectedItems()
+            .filter(item => parseListCell(item.Tags).some(existing => existing.toLowerCase() === tag.toLowerCase()))
+            .map(item => ({
+                originalName: item.Item,
+                tags: parseListCell(item.Tags).filter(existing => existing.toLowerCase() !== tag.toLowerCase()).join(', ')
+            }));
+
+        await this.applyChange('Removing tag...', () => sheetsAPI.updateItems(updates), `Removed "${tag}" from ${updates.length} item(s)`);
+    }
+
+    async bulkSetCategory(included) {
+        const category = document.getElementById('libraryBulkCategory').value;
+        if (!category) {
+            app.showError('Choose a category first.');
+            return;
+        }
+
+        const updates = this.getSelectedItems()
+            .filter(item => (item[category] === 'y') !== included)
+            .map(item => ({ originalName: item.Item, categories: { [category]: included } }));
+
+        await this.applyChange(
+            'Updating categories...',
+            () => sheetsAPI.updateItems(updates),
+            `${included ? 'Added' : 'Removed'} ${category} ${included ? 'to' : 'from'} ${updates.length} item(s)`
+        );
+    }
+
+    /**
+     * Delete items, keeping their rows on the undo stack
+     */
+    async deleteUndoably(itemNames, label) {
+        const undoSnapshot = await undoManager.capture({ items: itemNames });
+        await sheetsAPI.deleteItems(itemNames);
+        undoManager.push(label, undoSnapshot);
+    }
+
+    async bulkDelete() {
+        const itemNames = [...this.selectedItems];
+        const confirmed = confirm(
+            `Are you sure you want to delete ${itemNames.length} item${itemNames.length === 1 ? '' : 's'}?\n\n` +
+            `${itemNames.join(', ')}\n\nYou can undo it right after.`
+        );
+        if (!confirmed) return;
+
+        const deleted = await this.applyChange('Deleting items...', () => this.deleteUndoably(itemNames, `deleting ${itemNames.length} item(s)`),
+            `Deleted ${itemNames.length} item(s)`, app.getUndoAction());
+        if (deleted) {
+            this.selectedItems.clear();
+            this.updateBulkActions();
+        }
+    }
+
+    /**
+     * Open the editor for an existing item, or for a new one when item is null
+     */
+    openEditor(item = null) {
+        this.editingItem = item;
+
+        document.getElementById('itemEditorTitle').textContent = item ? `Edit ${item.Item}` : 'New Item';
+        document.getElementById('itemEditorName').value = item ? item.Item : '';
+        document.getElementById('itemEditorTags').value = item ? parseListCell(item.Tags).join(', ') : '';
+        document.getElementById('itemEditorAllergens').value = item ? parseListCell(item.Allergens).join(', ') : '';
+        document.getElementById('itemEditorDifficulty').value = (item && item.Difficulty) || '1';
+        document.getElementById('itemEditorCooldown').value = (item && item['Cooldown Days']) || '';
+        document.getElementById('itemEditorDeleteBtn').style.display = item ? '' : 'none';
+
+        // One checkbox per configured category
+        const categoriesContainer = document.getElementById('itemEditorCategories');
+        categoriesContainer.innerHTML = '';
+        mealGenerator.getCategories().forEach(category => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = 'itemEditorCategory';
+            checkbox.value = category;
+            checkbox.checked = item ? item[category] === 'y' : false;
+
+            label.appendChild(checkbox);
+            label.appendChild(app.createCategoryTag(category));
+            categoriesContainer.appendChild(label);
+        });
+
+        // Nutrition amounts per serving
+        const nutrientsContainer = document.getElementById('itemEditorNutrients');
+        nutrientsContainer.innerHTML = '';
+        CONFIG.NUTRIENTS.forEach(nutrient => {
+            const label = document.createElement('label');
+            label.className = 'nutrient-input';
+            label.textContent = nutrient.column;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.step = 'any';
+            input.dataset.column = nutrient.column;
+            input.value = item ? (item[nutrient.column] || '') : '';
+
+            label.appendChild(input);
+            nutrientsContainer.appendChild(label);
+        });
+
+        const modal = document.getElementById('itemEditorModal');
+        modal.style.display = 'flex';
+
+        // Trigger animation
+        setTimeout(() => {
+            modal.classList.add('show');
+            document.getElementById('itemEditorName').focus();
+        }, 10);
+    }
+
+    closeEditor() {
+        const modal = document.getElementById('itemEditorModal');
+        modal.classList.remove('show');
+
+        setTimeout(() => {
+            modal.style.display = 'none';
+            this.editingItem = null;
+        }, 300);
+    }
+
+    async saveEditor() {
+        const itemName = document.getElementById('itemEditorName').value.trim();
+        const categoryCheckboxes = Array.from(document.querySelectorAll('input[name="itemEditorCategory"]'));
+
+        // Validation
+        if (!itemName) {
+            app.showError('Please enter an item name.');
+            return;
+        }
+
+        if (!categoryCheckboxes.some(checkbox => checkbox.checked)) {
+            app.showError('Please select at least one category.');
+            return;
+        }
+
+        const cooldownValue = document.getElementById('itemEditorCooldown').value.trim();
+        if (cooldownValue && !(parseInt(cooldownValue, 10) >= 0)) {
+            app.showError('Cooldown days should be a whole number, or empty to use the default.');
+            return;
+        }
+
+        const nutrients = {};
+        document.querySelectorAll('#itemEditorNutrients input').forEach(input => {
+            // Leave untouched columns alone so older sheets don't grow empty nutrition columns
+            if (input.value !== '' || (this.editingItem && this.editingItem[input.dataset.column])) {
+                nutrients[input.dataset.column] = input.value;
+            }
+        });
+
+        const itemData = {
+            name: itemName,
+            tags: parseListCell(document.getElementById('itemEditorTags').value).join(', '),
+            allergens: parseListCell(document.getElementById('itemEditorAllergens').value).join(', '),
+            difficulty: document.getElementById('itemEditorDifficulty').value,
+            nutrients: nutrients
+        };
+
+        // Like nutrients, only touch the column when there's something to write or clear
+        if (cooldownValue || (this.editingItem && this.editingItem['Cooldown Days'])) {
+            itemData.cooldownDays = cooldownValue ? String(parseInt(cooldownValue, 10)) : '';
+        }
+
+        let saved;
+        if (this.editingItem) {
+            const originalName = this.editingItem.Item;
+            itemData.categories = Object.fromEntries(categoryCheckboxes.map(checkbox => [checkbox.value, checkbox.checked]));
+            saved = await this.applyChange(`Saving "${itemName}"...`, () => sheetsAPI.updateItem(originalName, itemData), `Saved "${itemName}"`);
+
+            if (saved && originalName !== itemName) {
+                if (this.selectedItems.delete(originalName)) {
+                    this.selectedItems.add(itemName);
+                    this.updateBulkActions();
+                }
+
+                // Today's meals and the plan now use the new name
+                await app.reloadMeals({ quiet: true, readOnly: true });
+                await weekView.refreshIfOpen();
+            }
+        } else {
+            itemData.categories = categoryCheckboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+            saved = await this.applyChange(`Adding "${itemName}"...`, () => sheetsAPI.addItem(itemData), `Successfully added "${itemName}"`);
+        }
+
+        if (saved) {
+            this.closeEditor();
+        }
+    }
+
+    async deleteFromEditor() {
+        const itemName = this.editingItem.Item;
+        const confirmed = confirm(
+            `Are you sure you want to delete "${itemName}"?\n\n` +
+            'You can undo it right after.'
+        );
+        if (!confirmed) return;
+
+        if (await this.applyChange(`Deleting "${itemName}"...`, () => this.deleteUndoably([itemName], `deleting "${itemName}"`),
+            `Successfully deleted "${itemName}"`, app.getUndoAction())) {
+            this.selectedItems.delete(itemName);
+            this.closeEditor();
+        }
+    }
+}
+
+// Create global instance
+const itemLibraryView = new ItemLibraryView();
@@ -0,0 +1,138 @@
+// Local Store - keeps every sheet in this browser's IndexedDB, no Google account needed
+class LocalStore extends SheetStore {
+    constructor() {
+        super();
+        this.isLocal = true;
+        this.silentAuthInterval = null;
+    }
+
+    async initialize() {
+        CONFIG.SPREADSHEET_ID = CONFIG.LOCAL_SPREADSHEET_ID;
+        console.log('Using local storage - data stays on this device');
+        return true;
+    }
+
+    // There's no account to sign in to, so the lifecycle methods are trivial
+    isUserSignedIn() {
+        return true;
+    }
+
+    async ensureSignedIn() {}
+
+    async signIn() {
+        return true;
+    }
+
+    async signOut() {}
+
+    setupTokenRefresh() {}
+
+    clearTokenRefresh() {}
+
+    isOffline() {
+        return false;
+    }
+
+    async syncPendingWrites() {
+        return 0;
+    }
+
+    async cacheAllSheets() {}
+
+    // Nobody else writes to this device's sheets
+    async detectRemoteChanges(sheetNames) {
+        return [];
+    }
+
+    async testConnection() {
+        return true;
+    }
+
+    async checkOrCreateSpreadsheet() {
+        CONFIG.SPREADSHEET_ID = CONFIG.LOCAL_SPREADSHEET_ID;
+
+        // First run on this device starts from the sample data
+        if (await offlineStore.getSheet(CONFIG.SPREADSHEET_ID, CONFIG.SHEETS.ITEMS) === null) {
+            return await this.createSpreadsheet();
+        }
+        return CONFIG.SPREADSHEET_ID;
+    }
+
+    /**
+     * Replace everything stored on this device with the sample data
+     */
+    async createSpreadsheet() {
+        try {
+            CONFIG.SPREADSHEET_ID = CONFIG.LOCAL_SPREADSHEET_ID;
+
+            for (const sheetName of Object.values(CONFIG.SHEETS)) {
+                await offlineStore.putSheet(CONFIG.SPREADSHEET_ID, sheetName, []);
+            }
+            await this.initializeSheetsWithDummyData();
+
+            console.log('Created local meal planner data');
+            return CONFIG.SPREADSHEET_ID;
+        } catch (error) {
+            console.error('Error creating local data:', error);
+            throw new Error('Failed to create local data');
+        }
+    }
+
+    async ensureSheetsExist() {
+        const addedSheets = [];
+
+        for (const [key, sheetName] of Object.entries(CONFIG.SHEETS)) {
+            if (await offlineStore.getSheet(CONFIG.SPREADSHEET_ID, sheetName) === null) {
+                await offlineStore.putSheet(CONFIG.SPREADSHEET_ID, sheetName, [CONFIG.DUMMY_DATA[key][0]]);
+                addedSheets.push(sheetName);
+            }
+        }
+
+        if (addedSheets.length > 0) {
+            console.log('Added missing local sheets:', addedSheets);
+        }
+        return addedSheets;
+    }
+
+    async getSheet(sheetName) {
+        return (await offlineStore.getSheet(CONFIG.SPREADSHEET_ID, sheetName)) || [];
+    }
+
+    async readRange(sheetName, range = '') {
+        return offlineStore.readGrid(await this.getSheet(sheetName), range);
+    }
+
+    async writeRange(sheetName, range, values) {
+        const updated = offlineStore.applyWrite(await this.getSheet(sheetName), range, values);
+        await offlineStore.putSheet(CONFIG.SPREADSHEET_ID, sheetName, updated);
+        return {};
+    }
+
+    async appendRange(sheetName, values) {
+        const updated = offlineStore.applyAppend(await this.getSheet(sheetName), values);
+        await offlineStore.putSheet(CONFIG.SPREADSHEET_ID, sheetName, updated);
+        return {};
+    }
+
+    async clearRange(sheetName, range) {
+        const updated = offlineStore.applyClear(await this.getSheet(sheetName), range);
+        await offlineStore.putSheet(CONFIG.SPREADSHEET_ID, sheetName, updated);
+        return {};
+    }
+
+    async batchWriteRanges(sheetName, data) {
+        const updated = data.reduce((grid, entry) => offlineStore.applyWrite(grid, entry.range, entry.values), await this.getSheet(sheetName));
+        await offlineStore.putSheet(CONFIG.SPREADSHEET_ID, sheetName, updated);
+        return {};
+    }
+
+    async deleteRow(sheetName, rowNumber) {
+        const updated = offlineStore.applyDeleteRow(await this.getSheet(sheetName), rowNumber);
+        await offlineStore.putSheet(CONFIG.SPREADSHEET_ID, sheetName, updated);
+        return {};
+    }
+}
+
+// Create the global storage instance for the backend chosen during setup
+const sheetsAPI = StorageHelper.loadStorageBackend() === CONFIG.STORAGE_BACKENDS.LOCAL ?
+    new LocalStore() : new GoogleSheetsAPI();
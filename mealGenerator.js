@@ -5,6 +5,12 @@ class MealGenerator {
         this.schedule = [];
         this.groceryList = [];
         this.currentMeals = [];
+        this.settings = { '': {} };
+        this.profiles = [];
+        this.categoryConfig = [];
+        this.history = [];
+        this.generationWarnings = []; // Problems worth telling the user about, see takeGenerationWarnings
+        this.activeProfile = StorageHelper.loadActiveProfile();
     }
 
     async loadData() {
@@ -12,15 +18,28 @@ class MealGenerator {
             console.log('Loading data from Google Sheets...');
             
             // Load all required data
-            [this.items, this.schedule, this.groceryList] = await Promise.all([
+            [this.items, this.schedule, this.groceryList, this.settings, this.profiles, this.categoryConfig, this.history] = await Promise.all([
                 sheetsAPI.getItems(),
                 sheetsAPI.getSchedule(),
-                sheetsAPI.getGroceryList()
+                sheetsAPI.getGroceryList(),
+                sheetsAPI.getSettings(),
+                sheetsAPI.getProfiles(),
+                sheetsAPI.getCategories(),
+                sheetsAPI.getHistory()
             ]);
 
             console.log('Loaded items:', this.items.length);
             console.log('Loaded schedule:', this.schedule.length);
             console.log('Loaded grocery list:', this.groceryList.length);
+            console.log('Loaded profiles:', this.profiles.length);
+            console.log('Categories:', this.getCategories());
+            
+            // Fall back to the first profile if the stored one was removed (or none is chosen yet)
+            if (this.profiles.length === 0) {
+                this.activeProfile = '';
+            } else if (!this.profiles.includes(this.activeProfile)) {
+                this.setActiveProfile(this.profiles[0]);
+            }
             
             return true;
         } catch (error) {
@@ -29,6 +48,111 @@ class MealGenerator {
         }
     }
 
+    setActiveProfile(profileName) {
+        this.activeProfile = profileName;
+        StorageHelper.saveActiveProfile(profileName);
+    }
+
+    /**
+     * Profiles to generate for - a single unnamed profile when none are set up
+     */
+    getProfileNames() {
+        return this.profiles.length > 0 ? this.profiles : [''];
+    }
+
+    /**
+     * Rows in current/plan/history belong to one profile; empty means the unnamed default
+     */
+    matchesProfile(rowProfile, profile = this.activeProfile) {
+        return (rowProfile || '') === (profile || '');
+    }
+
+    /**
+     * Schedule rows for a profile. Rows without a Profile apply to everyone.
+     * With a date, only rows whose Days include that day of the week.
+     */
+    getScheduleForProfile(profile = this.activeProfile, date = null) {
+        return this.schedule.filter(scheduledMeal => 
+            (!scheduledMeal.Profile || scheduledMeal.Profile === profile) &&
+            (!date || this.isScheduledOn(scheduledMeal, date))
+        );
+    }
+
+    /**
+     * Whether a schedule row applies on a date, from its optional Days column (empty = every day)
+     */
+    isScheduledOn(scheduledMeal, date) {
+        try {
+            const days = parseDaysCell(scheduledMeal.Days);
+            return days === null || days.has(date.getDay());
+        } catch (error) {
+            console.warn(`Ignoring Days of ${scheduledMeal.Name}: ${error.message}`);
+            return true;
+        }
+    }
+
+    /**
+     * Schedule row for a meal on a date. A name used by several rows (e.g. a weekday and a
+     * weekend Lunch) resolves to the row scheduled that day, otherwise to any row of that name.
+     */
+    findScheduledMeal(mealName, profile = this.activeProfile, date = new Date()) {
+        const rows = this.getScheduleForProfile(profile).filter(scheduledMeal => scheduledMeal.Name === mealName);
+        return rows.find(scheduledMeal => this.isScheduledOn(scheduledMeal, date)) || rows[0] || null;
+    }
+
+    /**
+     * Profile-specific value if set, otherwise the shared value
+     */
+    getSetting(key, profile = this.activeProfile) {
+        const profileSettings = this.settings[profile] || {};
+        if (profile && profileSettings[key] !== undefined && profileSettings[key] !== '') {
+            return profileSettings[key];
+        }
+        return (this.settings[''] || {})[key] || '';
+    }
+
+    /**
+     * When sharing is on, reuse a sibling's meal of the same name if it also
+     * satisfies this profile's requirements and exclusions
+     */
+    findSharedMeal(scheduledMeal, siblingMeals, usedItems, profile) {
+        if (this.getSetting(CONFIG.SETTING_KEYS.SHARE_SIBLING_MEALS, '') !== 'y') return null;
+        
+        const requiredCategories = this.getRequiredCategories(scheduledMeal);
+        const usedNames = usedItems.map(item => item.Item || item.name || item);
+        
+        for (const siblingMeal of siblingMeals) {
+            if (siblingMeal.name !== scheduledMeal.Name || siblingMeal.profile === profile) continue;
+            
+            const itemsAllowed = siblingMeal.items.every(item => 
+                !usedNames.includes(item.Item) && !this.getExclusionReason(item, profile)
+            );
+            const coveredCategories = siblingMeal.items.flatMap(item => this.getItemCategories(item));
+            
+            if (itemsAllowed && this.categoriesMatch(coveredCategories, requiredCategories)) {
+                console.log(`Sharing ${siblingMeal.profile}'s ${siblingMeal.name} with ${profile}`);
+                return {
+                    ...siblingMeal,
+                    items: [...siblingMeal.items],
+                    profile: profile
+                };
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Today's meals in the current sheet for every profile except the given ones, so their
+     * prep counts towards the household's daily budget
+     */
+    async getOtherProfilesMeals(profiles) {
+        const today = getTodayString();
+        return (await sheetsAPI.getCurrentMeals())
+            .filter(row => row.date === today && !profiles.some(profile => this.matchesProfile(row.profile, profile)))
+            .map(row => ({ ...this.planRowToMeal(row), status: row.status || 'pending' }));
+    }
+
     async getCurrentMeals() {
         try {
             this.currentMeals = await sheetsAPI.getCurrentMeals();
@@ -39,35 +163,46 @@ class MealGenerator {
         }
     }
 
-    async generateMealsForToday() {
+    /**
+     * Generate today's meals for the given profiles (all profiles by default).
+     * Returns the generated meals for every profile, each tagged with its profile.
+     */
+    async generateMealsForToday(profileNames = null) {
         try {
             await this.loadData();
             
+            const profilesToGenerate = profileNames || this.getProfileNames();
+            const otherMeals = profileNames ? await this.getOtherProfilesMeals(profilesToGenerate) : [];
             const generatedMeals = [];
-            const usedItems = []; // Track items used across all meals today
+            const lastUsedUpdates = new Map(); // item name -> timestamp, written once at the end
             
-            for (const scheduledMeal of this.schedule) {
-                const meal = this.generateSingleMeal(scheduledMeal, usedItems);
-                if (meal) {
-                    generatedMeals.push(meal);
-                    
-                    // Add selected items to used items list
-                    usedItems.push(...meal.items);
-                    
-                    // Update Last Used with current timestamp for better granularity
-                    const timestamp = new Date().toISOString();
-                    for (const item of meal.items) {
-                        await sheetsAPI.updateLastUsed(item.Item, timestamp);
-                        console.log(`Updated Last Used for ${item.Item} to ${timestamp}`);
+            for (const profile of profilesToGenerate) {
+                const usedItems = []; // Track items used across all of this profile's meals today
+                
+                for (const scheduledMeal of this.getScheduleForProfile(profile, new Date())) {
+                    const meal = this.findSharedMeal(scheduledMeal, generatedMeals, usedItems, profile) ||
+                                 this.generateSingleMeal(scheduledMeal, usedItems, profile, new Date(), [...otherMeals, ...generatedMeals]);
+                    if (meal) {
+                        generatedMeals.push(meal);
+                        
+                        // Add selected items to used items list
+                        usedItems.push(...meal.items);
+                        
+                        // Track Last Used in memory so later meals in this run see it
+                        const timestamp = new Date().toISOString();
+                        for (const item of meal.items) {
+                            item['Last Used'] = timestamp;
+                            lastUsedUpdates.set(item.Item, timestamp);
+                        }
                     }
-                    
-                    // Reload data to get updated Last Used timestamps for next meal generation
-                    await this.loadData();
                 }
+                
+                this.logUnmetTargets(usedItems, profile);
             }
             
-            // Save all generated meals to current sheet
-            await sheetsAPI.saveCurrentMeals(generatedMeals);
+            // Save all generated meals to current sheet, replacing only these profiles' rows
+            await sheetsAPI.saveCurrentMeals(generatedMeals, profilesToGenerate);
+            await sheetsAPI.updateLastUsedBatch(lastUsedUpdates);
             
             this.currentMeals = generatedMeals;
             return generatedMeals;
@@ -77,18 +212,153 @@ class MealGenerator {
         }
     }
 
+    /**
+     * Generate a multi-day plan covering every schedule row for each day.
+     * Last Used is tracked in memory per planned day so the rotation carries
+     * across the week; the sheet keeps the real dates until a day is promoted.
+     * Days already in the plan outside the requested range are kept.
+     */
+    async generatePlan(startDate = new Date(), days = 7) {
+        const servedLastUsed = new Map(); // item -> its real Last Used, put back after planning
+        
+        try {
+            await this.loadData();
+            
+            const plannedMeals = [];
+            
+            for (let dayOffset = 0; dayOffset < days; dayOffset++) {
+                const day = addDays(startDate, dayOffset);
+                const dateString = formatDateString(day);
+                const timestamp = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 12).toISOString();
+                const dayMeals = [];
+                
+                console.log(`\n##### Planning ${dateString} #####`);
+                
+                for (const profile of this.getProfileNames()) {
+                    const usedItems = []; // Track items used across this profile's meals on this day
+                    
+                    for (const scheduledMeal of this.getScheduleForProfile(profile, day)) {
+                        const meal = this.findSharedMeal(scheduledMeal, dayMeals, usedItems, profile) ||
+                                     this.generateSingleMeal(scheduledMeal, usedItems, profile, day, dayMeals);
+                        if (!meal) continue;
+                        
+                        meal.date = dateString;
+                        dayMeals.push(meal);
+                        usedItems.push(...meal.items);
+                        
+                        // Treat the item as used on its planned day for the rest of the run
+                        for (const item of meal.items) {
+                            if (!servedLastUsed.has(item)) servedLastUsed.set(item, item['Last Used']);
+                            item['Last Used'] = timestamp;
+                        }
+                    }
+                    
+                    this.logUnmetTargets(usedItems, profile);
+                }
+                
+                plannedMeals.push(...dayMeals);
+            }
+            
+            // Keep planned days outside the regenerated range, drop anything already in the past
+            const plannedDates = new Set(plannedMeals.map(meal => meal.date));
+            const today = parseDateString(getTodayString());
+            const existingPlan = await sheetsAPI.getPlan();
+            const keptMeals = existingPlan
+                .filter(row => !plannedDates.has(row.date) && parseDateString(row.date) >= today)
+                .map(row => this.planRowToMeal(row));
+            
+            const fullPlan = [...keptMeals, ...plannedMeals].sort((a, b) => 
+                parseDateString(a.date) - parseDateString(b.date)
+            );
+            await sheetsAPI.savePlan(fullPlan);
+            
+            console.log(`Planned ${plannedMeals.length} meals across ${days} days starting ${formatDateString(startDate)}`);
+            return plannedMeals;
+        } catch (error) {
+            console.error('Error generating plan:', error);
+            throw error;
+        } finally {
+            servedLastUsed.forEach((lastUsed, item) => { item['Last Used'] = lastUsed; });
+        }
+    }
+
+    /**
+     * Move the planned meals for a date into the current sheet, marking their items as used now.
+     * Returns the promoted meals, or null if nothing was planned for that date.
+     */
+    async promotePlannedDay(dateString) {
+        try {
+            const plan = await sheetsAPI.getPlan();
+            const dayRows = plan.filter(row => row.date === dateString);
+            
+            if (dayRows.length === 0) {
+                console.log(`No planned meals for ${dateString}`);
+                return null;
+            }
+            
+            // Item details and meal times come from the loaded items and schedule
+            await this.loadData();
+            
+            const meals = dayRows.map(row => ({
+                ...this.planRowToMeal(row),
+                time: this.findScheduledMeal(row['meal name'], row.profile || '', parseDateString(dateString))?.Time || '',
+                status: 'pending'
+            }));
+            
+            await sheetsAPI.saveCurrentMeals(meals);
+            
+            const timestamp = new Date().toISOString();
+            await sheetsAPI.updateLastUsedBatch(new Map(meals.flatMap(meal => meal.items).map(item => [item.Item, timestamp])));
+            
+            // Drop the promoted day and anything older from the plan
+            const promotedDate = parseDateString(dateString);
+            const remainingMeals = plan
+                .filter(row => parseDateString(row.date) > promotedDate)
+                .map(row => this.planRowToMeal(row));
+            await sheetsAPI.savePlan(remainingMeals);
+            
+            console.log(`Promoted ${meals.length} planned meals for ${dateString} into current`);
+            this.currentMeals = meals;
+            return meals;
+        } catch (error) {
+            console.error('Error promoting planned day:', error);
+            throw error;
+        }
+    }
+
+    planRowToMeal(row) {
+        const items = [];
+        for (let i = 1; i <= 4; i++) {
+            const itemName = row[`item ${i}`];
+            if (itemName) {
+                items.push(this.items.find(item => item.Item === itemName) || { Item: itemName });
+            }
+        }
+        
+        return {
+            date: row.date,
+            name: row['meal name'],
+            items: items,
+            profile: row.profile || ''
+        };
+    }
+
     /**
      * Generate a single meal following the requirements:
      * - Use 1-4 items to satisfy all required categories
      * - No duplicate categories
      * - No extra categories
-     * - Prioritize by "Last Used" (oldest first)
+     * - Prioritize by "Last Used" (oldest first), held back for foods the child keeps refusing
+     * - Lean towards items that help with daily targets not yet met by usedItems
+     * - Leave out items still in their cooldown on the meal's date, unless nothing else fits
+     * - Stay within the meal's Prep Budget and what's left of the daily prep budget after the
+     *   household's other meals that day (dayMeals), unless nothing else fits
      */
-    generateSingleMeal(scheduledMeal, usedItems = []) {
+    generateSingleMeal(scheduledMeal, usedItems = [], profile = this.activeProfile, date = new Date(), dayMeals = []) {
         const requiredCategories = this.getRequiredCategories(scheduledMeal);
-        const availableItems = this.getAvailableItems(usedItems);
+        const availableItems = this.getAvailableItems(usedItems, { profile, date });
         
-        console.log(`\n=== Generating meal: ${scheduledMeal.Name} ===`);
+        console.log(`\n=== Generating meal: ${scheduledMeal.Name}${profile ? ` (${profile})` : ''} ===`);
         console.log(`Required categories: [${requiredCategories.join(', ')}]`);
         console.log(`Available items count: ${availableItems.length}`);
         console.log(`Used items this session: [${usedItems.map(item => item.Item || item.name || item).join(', ')}]`);
@@ -99,7 +369,12 @@ class MealGenerator {
         }
         
         // Find optimal combination of items to satisfy exactly the required categories
-        const selectedItems = this.findOptimalItemCombination(requiredCategories, availableItems);
+        const selectedItems = this.findItemsRespectingCooldown(requiredCategories, usedItems, {
+            profile: profile,
+            date: date,
+            scoreBonus: this.getTargetBonus(usedItems, profile),
+            maxPrepMinutes: this.getPrepBudget(scheduledMeal, dayMeals, profile)
+        }, scheduledMeal.Name);
         
         if (selectedItems.length === 0) {
             console.warn(`No suitable items found for meal: ${scheduledMeal.Name}`);
@@ -112,129 +387,399 @@ class MealGenerator {
             name: scheduledMeal.Name,
             time: scheduledMeal.Time,
             items: selectedItems,
-            requiredCategories: requiredCategories
+            requiredCategories: requiredCategories,
+            profile: profile
         };
     }
 
     /**
-     * Find optimal combination of 1-4 items that satisfy exactly the required categories
-     * without duplicates or extras, prioritizing by Last Used date
+     * Find the best combination of 1-4 items that covers exactly the required categories
+     * (no duplicates, no extras). Every exact combination is considered and ranked by
+     * staleness score, so a valid meal is found whenever one exists. If none exists the
+     * best partial combination is returned and the missing categories are logged.
+     * options.profile picks whose acceptance ratings apply; options.scoreBonus optionally
+     * adds extra score per item (see getTargetBonus). options.maxPrepMinutes caps the total
+     * prep time - if only combinations over it cover the categories, the best of those is
+     * used and a warning naming options.mealName is recorded.
      */
-    findOptimalItemCombination(requiredCategories, availableItems) {
-        // Try to find a single item that covers all categories first
-        const singleItemSolution = this.findSingleItemSolution(requiredCategories, availableItems);
-        if (singleItemSolution) {
-            console.log(`Single item solution: ${singleItemSolution.Item}`);
-            return [singleItemSolution];
+    findOptimalItemCombination(requiredCategories, availableItems, options = {}) {
+        let result = this.findExactCover(requiredCategories, availableItems, options);
+        
+        const hasBudget = options.maxPrepMinutes !== undefined && options.maxPrepMinutes !== null;
+        if (!result.exact && hasBudget) {
+            const overBudget = this.findExactCover(requiredCategories, availableItems, { ...options, maxPrepMinutes: null });
+            if (overBudget.exact) {
+                const prepMinutes = this.getMealPrepMinutes(overBudget.items);
+                const warning = `${options.mealName || 'Meal'}: needs ${formatPrepTime(prepMinutes)} of prep, ` +
+                    `over the ${formatPrepTime(options.maxPrepMinutes)} budget`;
+                console.warn(warning);
+                this.generationWarnings.push(warning);
+                result = overBudget;
+            }
         }
         
-        // Use greedy approach to cover all categories with minimal items
-        return this.findGreedySolution(requiredCategories, availableItems);
+        if (result.exact) {
+            console.log(`Best combination (score ${result.score}): [${result.items.map(item => item.Item).join(', ')}]`);
+            return result.items;
+        }
+        
+        const covered = result.items.flatMap(item => this.getItemCategories(item));
+        const missing = requiredCategories.filter(cat => !covered.includes(cat));
+        console.warn(`No combination covers all categories. Missing: [${missing.join(', ')}]`);
+        return result.items;
     }
 
     /**
-     * Try to find a single item that covers all required categories exactly
+     * Branch-and-bound exact cover search.
+     * Each step picks the first uncovered category and tries every candidate item that
+     * covers it without overlapping what's already covered, so each combination is
+     * visited once. Combinations are scored per category covered (see getStalenessScore
+     * and getAcceptanceFactor), which keeps 1-item and 4-item meals comparable, plus any
+     * per-item scoreBonus. Ties go to fewer items, then to the Last Used order of availableItems.
+     * Combinations whose prep time would exceed options.maxPrepMinutes (if set) are skipped.
+     * A branch that can at best tie is cut as soon as it can't finish with fewer items, so
+     * lots of equally stale items don't blow up the search; MAX_SEARCH_NODES caps it regardless.
      */
-    findSingleItemSolution(requiredCategories, availableItems) {
-        // Items are already sorted by Last Used (oldest first), so check in that order
-        for (const item of availableItems) {
-            const itemCategories = this.getItemCategories(item);
+    findExactCover(requiredCategories, availableItems, options = {}) {
+        const profile = options.profile !== undefined ? options.profile : this.activeProfile;
+        const acceptance = this.getAcceptance(profile);
+        const maxPrepMinutes = options.maxPrepMinutes !== undefined && options.maxPrepMinutes !== null ?
+            options.maxPrepMinutes : Infinity;
+        
+        // Only items whose categories all fall within the requirements (and that fit the prep budget) can take part
+        const candidates = availableItems
+            .map(item => {
+                const categories = this.getItemCategories(item);
+                const staleness = this.getStalenessScore(item) * this.getAcceptanceFactor(item, acceptance);
+                const value = staleness * categories.length + (options.scoreBonus ? options.scoreBonus(item) : 0);
+                return { item, categories, value, prepMinutes: this.getPrepMinutes(item) };
+            })
+            .filter(candidate => candidate.categories.length > 0 &&
+                candidate.categories.every(cat => requiredCategories.includes(cat)) &&
+                candidate.prepMinutes <= maxPrepMinutes);
+        
+        // Upper bound for each category: the best per-category value of any candidate that could cover it
+        const bestPerCategory = {};
+        requiredCategories.forEach(cat => {
+            bestPerCategory[cat] = Math.max(0, ...candidates
+                .filter(candidate => candidate.categories.includes(cat))
+                .map(candidate => candidate.value / candidate.categories.length));
+        });
+        
+        // No candidate covers more categories than this, which bounds how many more items a branch needs
+        const mostCategories = Math.max(1, ...candidates.map(candidate => candidate.categories.length));
+        
+        let best = null;        // Best exact cover found so far
+        let bestPartial = null; // Fallback when no exact cover exists
+        let nodesVisited = 0;
+        
+        const search = (selected, covered, score, prepMinutes) => {
+            if (nodesVisited >= MealGenerator.MAX_SEARCH_NODES) return;
+            nodesVisited++;
             
-            // Check if this item covers exactly the required categories
-            if (this.categoriesMatch(itemCategories, requiredCategories)) {
-                console.log(`Found single item solution: ${item.Item} covers [${itemCategories.join(', ')}]`);
-                return item;
+            if (!bestPartial || covered.size > bestPartial.coveredCount ||
+                (covered.size === bestPartial.coveredCount && score > bestPartial.score)) {
+                bestPartial = { items: selected.map(candidate => candidate.item), coveredCount: covered.size, score };
+            }
+            
+            const uncovered = requiredCategories.filter(cat => !covered.has(cat));
+            if (uncovered.length === 0) {
+                if (!best || score > best.score || (score === best.score && selected.length < best.items.length)) {
+                    best = { items: selected.map(candidate => candidate.item), score };
+                }
+                return;
+            }
+            
+            if (selected.length >= MealGenerator.MAX_ITEMS_PER_MEAL) return;
+            
+            // Prune branches that can't beat (or tie with fewer items) the best cover. Sums of equal
+            // scores added in a different order can differ in the last digits, so those count as ties.
+            if (best) {
+                const bound = score + uncovered.reduce((sum, cat) => sum + bestPerCategory[cat], 0);
+                const fewestItems = selected.length + Math.ceil(uncovered.length / mostCategories);
+                if (bound < best.score - 1e-9 || (bound <= best.score + 1e-9 && fewestItems >= best.items.length)) {
+                    return;
+                }
+            }
+            
+            const nextCategory = uncovered[0];
+            for (const candidate of candidates) {
+                if (!candidate.categories.includes(nextCategory)) continue;
+                if (candidate.categories.some(cat => covered.has(cat))) continue;
+                if (prepMinutes + candidate.prepMinutes > maxPrepMinutes) continue;
+                
+                const nextCovered = new Set(covered);
+                candidate.categories.forEach(cat => nextCovered.add(cat));
+                
+                search(
+                    [...selected, candidate],
+                    nextCovered,
+                    score + candidate.value,
+                    prepMinutes + candidate.prepMinutes
+                );
             }
+        };
+        
+        search([], new Set(), 0, 0);
+        console.log(`Exact cover search visited ${nodesVisited} combinations from ${candidates.length} candidates`);
+        if (nodesVisited >= MealGenerator.MAX_SEARCH_NODES) {
+            console.warn(`Exact cover search stopped after ${nodesVisited} combinations; using the best found so far`);
         }
-        console.log('No single item solution found, using greedy approach');
-        return null;
+        
+        if (best) {
+            return { exact: true, items: best.items, score: best.score };
+        }
+        return { exact: false, items: bestPartial ? bestPartial.items : [], score: bestPartial ? bestPartial.score : 0 };
+    }
+
+    /**
+     * Rough prep time of an item from its Difficulty (0 when it has none)
+     */
+    getPrepMinutes(item) {
+        return CONFIG.DIFFICULTY_PREP_MINUTES[parseInt(item.Difficulty || item.difficulty, 10)] || 0;
+    }
+
+    getMealPrepMinutes(items) {
+        return items.reduce((total, item) => total + this.getPrepMinutes(item), 0);
+    }
+
+    /**
+     * Prep minutes for a day's meals across the whole household. Skipped meals don't count, and
+     * an item served at the same meal to several children (e.g. a shared sibling meal) is only
+     * prepared once.
+     */
+    getHouseholdPrepMinutes(meals) {
+        const preparedItems = new Map(); // "meal name|item" -> item
+        meals
+            .filter(meal => meal.status !== 'skipped')
+            .forEach(meal => meal.items.forEach(item => preparedItems.set(`${meal.name}|${item.Item}`, item)));
+        return this.getMealPrepMinutes([...preparedItems.values()]);
     }
 
     /**
-     * Use greedy approach to find minimal set of items covering all categories
+     * A schedule row's Prep Budget in minutes, or null when it has none
      */
-    findGreedySolution(requiredCategories, availableItems) {
-        const selectedItems = [];
-        const coveredCategories = new Set();
-        const remainingItems = [...availableItems];
+    getMealPrepBudget(scheduledMeal) {
+        const budget = parseFloat(scheduledMeal && scheduledMeal['Prep Budget']);
+        return budget >= 0 ? budget : null;
+    }
+
+    /**
+     * Most prep minutes a meal may take, or null for no limit: the schedule row's Prep Budget,
+     * capped by whatever the Daily Prep Budget setting leaves after the household's other meals
+     * that day (dayMeals, every profile's)
+     */
+    getPrepBudget(scheduledMeal, dayMeals = [], profile = this.activeProfile) {
+        const budgets = [];
         
-        console.log(`Starting greedy search for categories: [${requiredCategories.join(', ')}]`);
+        const mealBudget = this.getMealPrepBudget(scheduledMeal);
+        if (mealBudget !== null) budgets.push(mealBudget);
         
-        while (coveredCategories.size < requiredCategories.length && remainingItems.length > 0) {
-            let selectedItem = null;
-            let selectedIndex = -1;
-            
-            console.log(`Looking for item to cover remaining categories: [${requiredCategories.filter(cat => !coveredCategories.has(cat)).join(', ')}]`);
-            
-            // Find the FIRST item (oldest) that can cover at least one remaining category
-            for (let i = 0; i < remainingItems.length; i++) {
-                const item = remainingItems[i];
-                const itemCategories = this.getItemCategories(item);
-                
-                // Check for category conflicts with already selected items
-                const hasConflict = itemCategories.some(cat => coveredCategories.has(cat));
-                if (hasConflict) {
-                    console.log(`  Skipping ${item.Item} - conflicts with already covered: [${itemCategories.filter(cat => coveredCategories.has(cat)).join(', ')}]`);
-                    continue;
-                }
-                
-                // Check for extra categories not in requirements
-                const hasExtra = itemCategories.some(cat => !requiredCategories.includes(cat));
-                if (hasExtra) {
-                    console.log(`  Skipping ${item.Item} - has extra categories: [${itemCategories.filter(cat => !requiredCategories.includes(cat)).join(', ')}]`);
-                    continue;
+        const dailyBudget = parseFloat(this.getSetting(CONFIG.SETTING_KEYS.DAILY_PREP_BUDGET, profile));
+        if (dailyBudget >= 0) budgets.push(Math.max(0, dailyBudget - this.getHouseholdPrepMinutes(dayMeals)));
+        
+        return budgets.length > 0 ? Math.min(...budgets) : null;
+    }
+
+    /**
+     * How overdue an item is, in whole hours since it was last used.
+     * Never-used (or unparseable) items get the cap so they rank as stalest.
+     */
+    getStalenessScore(item) {
+        const maxHours = MealGenerator.MAX_STALENESS_DAYS * 24;
+        const lastUsed = this.parseDate(item['Last Used']).getTime();
+        
+        if (isNaN(lastUsed)) return maxHours;
+        
+        const hours = Math.floor((Date.now() - lastUsed) / (60 * 60 * 1000));
+        return Math.max(0, Math.min(maxHours, hours));
+    }
+
+    /**
+     * History rows for a profile with one row per date and meal. The history sheet can hold
+     * the same completed meal twice (once when completed, once more at the new day), so a
+     * rated copy wins over an unrated one. Skipped meals are marked by their status column.
+     */
+    getMealHistory(profile = this.activeProfile) {
+        const hasRatings = row => [1, 2, 3, 4].some(i => row[`rating ${i}`]);
+        const rows = new Map();
+        
+        this.history
+            .filter(row => row.date && this.matchesProfile(row.profile, profile))
+            .forEach(row => {
+                const key = `${row.date}|${row['meal name']}`;
+                const existing = rows.get(key);
+                if (!existing || (!hasRatings(existing) && hasRatings(row))) {
+                    rows.set(key, row);
                 }
-                
-                // Count new categories this item would cover
-                const newCoverage = itemCategories.filter(cat => 
-                    requiredCategories.includes(cat) && !coveredCategories.has(cat)
-                ).length;
-                
-                if (newCoverage > 0) {
-                    const lastUsed = item['Last Used'] || 'never';
-                    const displayDate = lastUsed === 'never' ? 'never' : 
-                                       lastUsed.includes('T') ? new Date(lastUsed).toLocaleString() : lastUsed;
-                    console.log(`  Found viable item: ${item.Item} (Last Used: ${displayDate}) - covers ${newCoverage} new categories: [${itemCategories.filter(cat => requiredCategories.includes(cat) && !coveredCategories.has(cat)).join(', ')}]`);
+            });
+        
+        return [...rows.values()];
+    }
+
+    /**
+     * Acceptance per item name for a profile, from the ratings in history (oldest rows first).
+     * refusalStreak counts the latest refusals in a row - "partial" counts as half a refusal
+     * and eating the item resets it.
+     */
+    getAcceptance(profile = this.activeProfile) {
+        const acceptance = {};
+        
+        this.history
+            .filter(row => this.matchesProfile(row.profile, profile))
+            .forEach(row => {
+                for (let i = 1; i <= MealGenerator.MAX_ITEMS_PER_MEAL; i++) {
+                    const itemName = row[`item ${i}`];
+                    const rating = row[`rating ${i}`];
+                    if (!itemName || !rating) continue;
+                    
+                    const entry = acceptance[itemName] || (acceptance[itemName] = {
+                        ate: 0, partial: 0, refused: 0, rated: 0, refusalStreak: 0, lastRated: ''
+                    });
+                    if (entry[rating] === undefined) continue;
+                    
+                    entry[rating]++;
+                    entry.rated++;
+                    entry.lastRated = row.date;
                     
-                    // Take the first viable item (oldest by Last Used)
-                    selectedItem = item;
-                    selectedIndex = i;
-                    break; // Stop searching, take the first viable option
+                    const ratingConfig = CONFIG.RATINGS.find(option => option.value === rating);
+                    entry.refusalStreak = ratingConfig.weight === 1 ? 0 : entry.refusalStreak + (1 - ratingConfig.weight);
                 }
-            }
-            
-            if (!selectedItem) {
-                console.warn('No valid item found to continue combination');
-                break;
-            }
-            
-            // Add selected item and mark its categories as covered
-            selectedItems.push(selectedItem);
-            const itemCategories = this.getItemCategories(selectedItem);
-            itemCategories.forEach(cat => coveredCategories.add(cat));
-            remainingItems.splice(selectedIndex, 1);
-            
-            console.log(`Added ${selectedItem.Item}, covered: [${Array.from(coveredCategories).join(', ')}]`);
-            
-            // Safety check - max 4 items
-            if (selectedItems.length >= 4) break;
-        }
+            });
         
-        // Verify we covered all required categories
-        const allCovered = requiredCategories.every(cat => coveredCategories.has(cat));
-        if (!allCovered) {
-            const missing = requiredCategories.filter(cat => !coveredCategories.has(cat));
-            console.warn(`Could not cover all categories. Missing: [${missing.join(', ')}]`);
+        return acceptance;
+    }
+
+    /**
+     * Share of offers the item was eaten, 0-1 (partial counts by its weight), or null if never rated
+     */
+    getAcceptanceRate(entry) {
+        if (!entry || entry.rated === 0) return null;
+        
+        const eaten = CONFIG.RATINGS.reduce((sum, option) => sum + (entry[option.value] || 0) * option.weight, 0);
+        return eaten / entry.rated;
+    }
+
+    /**
+     * Multiplier on an item's staleness: foods refused in a row rank lower, but once an item
+     * hasn't been offered for MealGenerator.REEXPOSURE_DAYS it competes normally again so
+     * it keeps getting re-introduced.
+     */
+    getAcceptanceFactor(item, acceptance = this.getAcceptance()) {
+        const entry = acceptance[item.Item];
+        if (!entry || entry.refusalStreak === 0) return 1;
+        
+        if (this.getStalenessScore(item) >= MealGenerator.REEXPOSURE_DAYS * 24) return 1;
+        
+        return 1 / (1 + entry.refusalStreak);
+    }
+
+    /**
+     * Amount of a nutrient column in one serving of an item (0 when not filled in)
+     */
+    getNutrientValue(item, column) {
+        const itemName = item.Item || item.name || '';
+        const fullItem = item[column] !== undefined ? item : this.items.find(candidate => candidate.Item === itemName);
+        if (!fullItem) return 0;
+        
+        return parseFloat(fullItem[column]) || 0;
+    }
+
+    /**
+     * Nutrient columns that have a value on at least one item
+     */
+    getTrackedNutrients() {
+        return CONFIG.NUTRIENTS.filter(nutrient => 
+            this.items.some(item => this.getNutrientValue(item, nutrient.column) > 0)
+        );
+    }
+
+    /**
+     * Soft daily targets for a profile from "Daily Target: <name>" settings.
+     * A nutrient column name sums that column, anything else counts items with that tag or category.
+     */
+    getDailyTargets(profile = this.activeProfile) {
+        const keys = new Set([
+            ...Object.keys(this.settings[''] || {}),
+            ...Object.keys((profile && this.settings[profile]) || {})
+        ]);
+        
+        return [...keys]
+            .filter(key => key.startsWith(CONFIG.DAILY_TARGET_PREFIX))
+            .map(key => ({
+                name: key.slice(CONFIG.DAILY_TARGET_PREFIX.length).trim(),
+                target: parseFloat(this.getSetting(key, profile))
+            }))
+            .filter(target => target.name && target.target > 0)
+            .map(target => {
+                const nutrient = CONFIG.NUTRIENTS.find(entry => entry.column === target.name);
+                return { ...target, isCount: !nutrient, unit: nutrient ? nutrient.unit : '' };
+            });
+    }
+
+    /**
+     * How much an item contributes towards a target: 1 for an item with the tag or category, or its nutrient amount
+     */
+    getTargetContribution(item, target) {
+        if (!target.isCount) {
+            return this.getNutrientValue(item, target.name);
         }
         
-        return selectedItems;
+        const itemName = item.Item || item.name || '';
+        const fullItem = item.Tags !== undefined ? item : this.items.find(candidate => candidate.Item === itemName);
+        if (!fullItem) return 0;
+        
+        const name = target.name.toLowerCase();
+        const hasTag = parseListCell(fullItem.Tags).some(tag => tag.toLowerCase() === name);
+        return hasTag || fullItem[target.name] === 'y' ? 1 : 0;
+    }
+
+    /**
+     * Nutrient totals and target progress for a list of items eaten in a day
+     */
+    getDailyTotals(items, profile = this.activeProfile) {
+        const nutrients = this.getTrackedNutrients().map(nutrient => ({
+            ...nutrient,
+            total: items.reduce((sum, item) => sum + this.getNutrientValue(item, nutrient.column), 0)
+        }));
+        
+        const targets = this.getDailyTargets(profile).map(target => ({
+            ...target,
+            total: items.reduce((sum, item) => sum + this.getTargetContribution(item, target), 0)
+        }));
+        
+        return { nutrients, targets };
+    }
+
+    /**
+     * Score bonus for items that help with targets the day's items haven't met yet.
+     * Returns null when there's nothing left to aim for.
+     */
+    getTargetBonus(usedItems, profile = this.activeProfile) {
+        const unmetTargets = this.getDailyTotals(usedItems, profile).targets
+            .filter(target => target.total < target.target);
+        if (unmetTargets.length === 0) return null;
+        
+        const bonusPerTarget = MealGenerator.TARGET_BONUS_DAYS * 24;
+        return item => unmetTargets
+            .filter(target => this.getTargetContribution(item, target) > 0)
+            .length * bonusPerTarget;
+    }
+
+    logUnmetTargets(items, profile) {
+        this.getDailyTotals(items, profile).targets
+            .filter(target => target.total < target.target)
+            .forEach(target => {
+                console.warn(`Daily target not met${profile ? ` for ${profile}` : ''}: ${target.name} ${target.total} / ${target.target}`);
+            });
     }
 
     /**
      * Generate replacement for a specific item in an existing meal
-     * Maintains other items while replacing one item following same rules
+     * Maintains other items while replacing one item following same rules.
+     * otherMeals are the household's other meals that day, for the daily prep budget.
      */
-    generateReplacement(existingMeal, itemIndexToReplace) {
+    generateReplacement(existingMeal, itemIndexToReplace, otherMeals = []) {
         const itemToReplace = existingMeal.items[itemIndexToReplace];
         const otherItems = existingMeal.items.filter((_, index) => index !== itemIndexToReplace);
         
@@ -259,14 +804,100 @@ class MealGenerator {
         }
         
         // Find replacement items for the needed categories
-        const availableItems = this.getAvailableItems([itemToReplace, ...otherItems]);
-        return this.findOptimalItemCombination(neededCategories, availableItems);
+        const profile = existingMeal.profile !== undefined ? existingMeal.profile : this.activeProfile;
+        const date = existingMeal.date ? parseDateString(existingMeal.date) : new Date();
+        
+        // The items staying in this meal and the household's other meals use up part of the prep budgets
+        const scheduledMeal = this.findScheduledMeal(existingMeal.name, profile, date);
+        const mealBudget = this.getMealPrepBudget(scheduledMeal);
+        const dailyBudget = this.getPrepBudget(null, [...otherMeals, { ...existingMeal, items: otherItems }], profile);
+        const budgets = [mealBudget === null ? null : Math.max(0, mealBudget - this.getMealPrepMinutes(otherItems)), dailyBudget]
+            .filter(budget => budget !== null);
+        
+        return this.findItemsRespectingCooldown(neededCategories, [itemToReplace, ...otherItems], {
+            profile: profile,
+            date: date,
+            maxPrepMinutes: budgets.length > 0 ? Math.min(...budgets) : null
+        }, existingMeal.name);
+    }
+
+    /**
+     * Best items for the categories with cooldowns as a hard rule. If resting items have to be
+     * left out for no exact combination to exist, they're let back in and a warning is recorded
+     * rather than leaving the meal short. options are { profile, date, scoreBonus, maxPrepMinutes }.
+     */
+    findItemsRespectingCooldown(requiredCategories, excludeItems, options, mealName) {
+        const searchOptions = {
+            profile: options.profile,
+            scoreBonus: options.scoreBonus,
+            maxPrepMinutes: options.maxPrepMinutes,
+            mealName: mealName
+        };
+        const coversExactly = items => this.categoriesMatch(items.flatMap(item => this.getItemCategories(item)), requiredCategories);
+        
+        const rested = this.findOptimalItemCombination(requiredCategories,
+            this.getAvailableItems(excludeItems, { profile: options.profile, date: options.date }), searchOptions);
+        if (coversExactly(rested)) return rested;
+        
+        const relaxed = this.findOptimalItemCombination(requiredCategories,
+            this.getAvailableItems(excludeItems, { profile: options.profile }), searchOptions);
+        if (!coversExactly(relaxed)) return rested;
+        
+        const restingNames = relaxed
+            .filter(item => this.isOnCooldown(item, options.date, options.profile))
+            .map(item => item.Item);
+        const warning = `${mealName}: not enough other items, so ${restingNames.join(', ')} ` +
+            `${restingNames.length === 1 ? 'is' : 'are'} served before ${restingNames.length === 1 ? 'its' : 'their'} cooldown ends`;
+        console.warn(warning);
+        this.generationWarnings.push(warning);
+        
+        return relaxed;
+    }
+
+    /**
+     * Days an item rests after being served: its own Cooldown Days column if set,
+     * otherwise the Cooldown Days setting (0 = no cooldown)
+     */
+    getCooldownDays(item, profile = this.activeProfile) {
+        const itemCooldown = parseInt(item['Cooldown Days'], 10);
+        if (!isNaN(itemCooldown)) return Math.max(0, itemCooldown);
+        
+        const defaultCooldown = parseInt(this.getSetting(CONFIG.SETTING_KEYS.COOLDOWN_DAYS, profile), 10);
+        return isNaN(defaultCooldown) ? 0 : Math.max(0, defaultCooldown);
+    }
+
+    /**
+     * Whether an item is still resting on a date. Counts calendar days between its Last Used and
+     * the date in either direction, so planned servings later in the week count too. The same day
+     * doesn't count - repeats within a day are already ruled out by the used items.
+     */
+    isOnCooldown(item, date = new Date(), profile = this.activeProfile) {
+        const cooldownDays = this.getCooldownDays(item, profile);
+        if (cooldownDays === 0) return false;
+        
+        const lastUsed = this.parseDate(item['Last Used']);
+        if (isNaN(lastUsed.getTime()) || lastUsed.getTime() === 0) return false;
+        
+        const dayStart = value => new Date(value.getFullYear(), value.getMonth(), value.getDate());
+        const daysApart = Math.round(Math.abs(dayStart(date) - dayStart(lastUsed)) / (24 * 60 * 60 * 1000));
+        return daysApart > 0 && daysApart <= cooldownDays;
+    }
+
+    /**
+     * Warnings collected since the last call, e.g. cooldowns that had to be broken
+     */
+    takeGenerationWarnings() {
+        const warnings = this.generationWarnings;
+        this.generationWarnings = [];
+        return warnings;
     }
 
     /**
-     * Get available items sorted by Last Used date, excluding grocery items and specified items
+     * Get available items sorted by Last Used date, excluding grocery items, specified items
+     * and items ruled out by allergen/item exclusions (unless includeExcluded is set).
+     * With options.date, items still in their cooldown on that date are left out too.
      */
-    getAvailableItems(excludeItems = []) {
+    getAvailableItems(excludeItems = [], options = {}) {
         const excludeNames = excludeItems.map(item => item.Item || item.name || item);
         
         const filteredItems = this.items
@@ -277,6 +908,12 @@ class MealGenerator {
                 // Exclude specified items
                 if (excludeNames.includes(item.Item)) return false;
                 
+                // Exclude allergens and forbidden items - a hard rule for generation
+                if (!options.includeExcluded && this.getExclusionReason(item, options.profile)) return false;
+                
+                // Exclude items served too recently
+                if (options.date && this.isOnCooldown(item, options.date, options.profile)) return false;
+                
                 return true;
             });
 
@@ -305,6 +942,51 @@ class MealGenerator {
         return sortedItems;
     }
 
+    /**
+     * Exclusions for a profile: the shared list plus the profile's own list
+     */
+    getExclusions(profile = this.activeProfile) {
+        const sharedSettings = this.settings[''] || {};
+        const profileSettings = (profile && this.settings[profile]) || {};
+        const combine = key => [
+            ...parseListCell(sharedSettings[key]),
+            ...parseListCell(profileSettings[key])
+        ].map(value => value.toLowerCase());
+        
+        return {
+            allergens: combine(CONFIG.SETTING_KEYS.EXCLUDED_ALLERGENS),
+            items: combine(CONFIG.SETTING_KEYS.EXCLUDED_ITEMS)
+        };
+    }
+
+    getItemAllergens(item) {
+        return parseListCell(item.Allergens);
+    }
+
+    /**
+     * Explain why an item must not be served, or return null if it's allowed
+     */
+    getExclusionReason(item, profile = this.activeProfile) {
+        const itemName = item.Item || item.name || '';
+        const exclusions = this.getExclusions(profile);
+        
+        if (exclusions.items.includes(itemName.toLowerCase())) {
+            return 'On the never-serve list';
+        }
+        
+        // Minimal item objects (e.g. from an old current sheet) carry no allergen data
+        const fullItem = item.Allergens !== undefined ? item : this.items.find(candidate => candidate.Item === itemName);
+        if (!fullItem) return null;
+        
+        const matchedAllergens = this.getItemAllergens(fullItem)
+            .filter(allergen => exclusions.allergens.includes(allergen.toLowerCase()));
+        if (matchedAllergens.length > 0) {
+            return `Contains ${matchedAllergens.join(', ')}`;
+        }
+        
+        return null;
+    }
+
     parseDate(dateString) {
         if (!dateString) return new Date(0); // If no date, treat as very old (highest priority)
         
@@ -328,26 +1010,60 @@ class MealGenerator {
         }
     }
 
-    getRequiredCategories(scheduledMeal) {
-        const categories = [];
+    /**
+     * Food categories in display order. The categories sheet wins when it has rows;
+     * otherwise any column present in both the items and schedule sheets is a category.
+     */
+    getCategories() {
+        if (this.categoryConfig.length > 0) {
+            return this.categoryConfig.map(category => category.Category);
+        }
         
-        if (scheduledMeal.Carb === 'y') categories.push('Carb');
-        if (scheduledMeal.Protein === 'y') categories.push('Protein');
-        if (scheduledMeal.Fruit === 'y') categories.push('Fruit');
-        if (scheduledMeal.Veggie === 'y') categories.push('Veggie');
+        if (this.items.length > 0 && this.schedule.length > 0) {
+            const scheduleColumns = Object.keys(this.schedule[0]);
+            const discovered = Object.keys(this.items[0]).filter(column => 
+                scheduleColumns.includes(column) && !CONFIG.NON_CATEGORY_COLUMNS.includes(column)
+            );
+            if (discovered.length > 0) return discovered;
+        }
         
-        return categories;
+        return CONFIG.DEFAULT_CATEGORIES;
     }
 
-    getItemCategories(item) {
-        const categories = [];
+    getCategoryColor(category) {
+        const configured = this.categoryConfig.find(entry => entry.Category === category);
+        if (configured && configured.Color) return configured.Color;
+        if (CONFIG.DEFAULT_CATEGORY_COLORS[category]) return CONFIG.DEFAULT_CATEGORY_COLORS[category];
         
-        if (item.Carb === 'y') categories.push('Carb');
-        if (item.Protein === 'y') categories.push('Protein');
-        if (item.Fruit === 'y') categories.push('Fruit');
-        if (item.Veggie === 'y') categories.push('Veggie');
+        // Stable color for categories without one configured
+        let hash = 0;
+        for (const char of category) {
+            hash = (hash * 31 + char.charCodeAt(0)) % 360;
+        }
+        return `hsl(${hash}, 60%, 60%)`;
+    }
+
+    getRequiredCategories(scheduledMeal) {
+        return this.getCategories().filter(category => scheduledMeal[category] === 'y');
+    }
+
+    getItemCategories(item) {
+        return this.getCategories().filter(category => item[category] === 'y');
+    }
+
+    /**
+     * Required categories of a meal's schedule row that none of its items cover
+     */
+    getMissingCategories(meal) {
+        const scheduledMeal = this.findScheduledMeal(
+            meal.name,
+            meal.profile !== undefined ? meal.profile : this.activeProfile,
+            meal.date ? parseDateString(meal.date) : new Date()
+        );
+        if (!scheduledMeal) return [];
         
-        return categories;
+        const covered = meal.items.flatMap(item => this.getItemCategories(item));
+        return this.getRequiredCategories(scheduledMeal).filter(cat => !covered.includes(cat));
     }
 
     /**
@@ -395,7 +1111,7 @@ class MealGenerator {
             console.log('Force regenerating meals for today...');
             
             // Clear current meals first
-            await sheetsAPI.clearRange(CONFIG.SHEETS.CURRENT, 'A:Z');
+            await sheetsAPI.clearSheet(CONFIG.SHEETS.CURRENT);
             
             // Generate new meals
             return await this.generateMealsForToday();
@@ -405,34 +1121,144 @@ class MealGenerator {
         }
     }
 
+    /**
+     * Bring today's current meals in line with an edited schedule without redoing the whole day:
+     * renamed meals keep their items, meals whose required categories changed are regenerated,
+     * new meals are generated, and removed meals are dropped unless already completed or skipped.
+     * Completed and skipped meals are never touched. options.renamedMeals maps old name to new
+     * name; options.regenerate regenerates every pending meal instead of patching.
+     * Returns counts of { kept, regenerated, added, removed } meals.
+     */
+    async patchTodaysMeals(options = {}) {
+        const renamedMeals = options.renamedMeals || {};
+        const summary = { kept: 0, regenerated: 0, added: 0, removed: 0 };
+        
+        try {
+            await this.loadData();
+            
+            const currentRows = await sheetsAPI.getCurrentMeals();
+            const today = getTodayString();
+            if (currentRows.length === 0 || currentRows[0].date !== today) {
+                // Nothing generated for today yet - loading meals will use the new schedule
+                return summary;
+            }
+            
+            const profiles = this.getProfileNames();
+            const householdMeals = currentRows.map(row => ({ ...this.planRowToMeal(row), status: row.status || 'pending' }));
+            const patchedMeals = [];
+            const lastUsedUpdates = new Map(); // item name -> timestamp, written once at the end
+            
+            for (const profile of profiles) {
+                const existingMeals = currentRows
+                    .filter(row => this.matchesProfile(row.profile, profile))
+                    .map(row => ({
+                        ...this.planRowToMeal(row),
+                        name: renamedMeals[row['meal name']] || row['meal name'],
+                        status: row.status || 'pending'
+                    }));
+                const scheduledMeals = this.getScheduleForProfile(profile, new Date());
+                
+                // Items already served or kept today shouldn't be picked again
+                let usedItems = existingMeals
+                    .filter(meal => meal.status !== 'pending' || scheduledMeals.some(scheduledMeal => scheduledMeal.Name === meal.name))
+                    .flatMap(meal => meal.items);
+                
+                for (const scheduledMeal of scheduledMeals) {
+                    const existingMeal = existingMeals.find(meal => meal.name === scheduledMeal.Name);
+                    const requiredCategories = this.getRequiredCategories(scheduledMeal);
+                    
+                    if (existingMeal && (existingMeal.status !== 'pending' || (!options.regenerate &&
+                        this.categoriesMatch(existingMeal.items.flatMap(item => this.getItemCategories(item)), requiredCategories)))) {
+                        patchedMeals.push(existingMeal);
+                        summary.kept++;
+                        continue;
+                    }
+                    
+                    // Swap this meal's old items for new ones
+                    if (existingMeal) {
+                        usedItems = usedItems.filter(item => !existingMeal.items.includes(item));
+                    }
+                    
+                    // The daily prep budget covers what the household is already eating today: meals
+                    // patched so far, this profile's meals still to come and profiles not reached yet
+                    const dayMeals = [
+                        ...patchedMeals,
+                        ...existingMeals.filter(meal => meal !== existingMeal && !patchedMeals.includes(meal) &&
+                            (meal.status !== 'pending' || scheduledMeals.some(other => other.Name === meal.name))),
+                        ...householdMeals.filter(meal => profiles.indexOf(meal.profile) > profiles.indexOf(profile))
+                    ];
+                    const meal = this.generateSingleMeal(scheduledMeal, usedItems, profile, new Date(), dayMeals);
+                    if (!meal) continue;
+                    
+                    patchedMeals.push({ ...meal, status: 'pending' });
+                    usedItems.push(...meal.items);
+                    summary[existingMeal ? 'regenerated' : 'added']++;
+                    
+                    const timestamp = new Date().toISOString();
+                    for (const item of meal.items) {
+                        item['Last Used'] = timestamp;
+                        lastUsedUpdates.set(item.Item, timestamp);
+                    }
+                }
+                
+                // Completed and skipped meals stay on record even if they left the schedule
+                existingMeals
+                    .filter(meal => !scheduledMeals.some(scheduledMeal => scheduledMeal.Name === meal.name))
+                    .forEach(meal => {
+                        if (meal.status !== 'pending') {
+                            patchedMeals.push(meal);
+                        } else {
+                            summary.removed++;
+                        }
+                    });
+            }
+            
+            await sheetsAPI.saveCurrentMeals(patchedMeals, profiles);
+            await sheetsAPI.updateLastUsedBatch(lastUsedUpdates);
+            
+            console.log('Patched today\'s meals for the new schedule:', summary);
+            return summary;
+        } catch (error) {
+            console.error('Error patching today\'s meals:', error);
+            throw error;
+        }
+    }
+
     async handleNewDay() {
         try {
-            console.log('Handling new day - moving completed meals to history and clearing old meals');
+            console.log('Handling new day - moving completed and skipped meals to history and clearing old meals');
             
             // Get current meals to check for completed ones
             const currentMeals = await sheetsAPI.getCurrentMeals();
             
             if (currentMeals.length > 0) {
-                // Move only completed meals to history (if any)
+                // Move completed meals to history (if any)
                 const completedMeals = currentMeals.filter(meal => meal.status === 'completed');
                 if (completedMeals.length > 0) {
-                    const historyData = completedMeals.map(meal => {
-                        const row = [meal.date, meal['meal name']];
-                        for (let i = 1; i <= 4; i++) {
-                            row.push(meal[`item ${i}`] || '');
-                        }
-                        return row;
-                    });
-                    await sheetsAPI.appendRange(CONFIG.SHEETS.HISTORY, historyData);
+                    await sheetsAPI.appendCurrentMealsToHistory(completedMeals);
                     console.log(`Moved ${completedMeals.length} completed meals to history`);
                 }
                 
+                // Skipped meals are kept too, marked in the status column, so the stats can count skips
+                const skippedMeals = currentMeals.filter(meal => meal.status === 'skipped');
+                if (skippedMeals.length > 0) {
+                    await sheetsAPI.appendCurrentMealsToHistory(skippedMeals);
+                    console.log(`Recorded ${skippedMeals.length} skipped meals in history`);
+                }
+                
                 // Clear all current meals (both completed and incomplete from previous day)
-                await sheetsAPI.clearRange(CONFIG.SHEETS.CURRENT, 'A:Z');
+                await sheetsAPI.clearSheet(CONFIG.SHEETS.CURRENT);
             }
             
-            // Generate new meals for today
-            await this.generateMealsForToday();
+            // Use today's planned meals if a plan exists, otherwise generate from scratch
+            const promotedMeals = await this.promotePlannedDay(getTodayString()) || [];
+            await this.loadData(); // Profiles decide who still needs meals
+            const unplannedProfiles = this.getProfileNames().filter(profile => 
+                !promotedMeals.some(meal => this.matchesProfile(meal.profile, profile))
+            );
+            if (unplannedProfiles.length > 0) {
+                await this.generateMealsForToday(unplannedProfiles);
+            }
             
             return true;
         } catch (error) {
@@ -442,18 +1268,42 @@ class MealGenerator {
     }
 
     formatMealForDisplay(meal) {
+        const scheduledMeal = this.findScheduledMeal(
+            meal.name,
+            meal.profile !== undefined ? meal.profile : this.activeProfile,
+            meal.date ? parseDateString(meal.date) : new Date()
+        );
+        
         return {
             name: meal.name,
             time: formatTimeDisplay(meal.time),
+            prepMinutes: this.getMealPrepMinutes(meal.items),
+            prepBudget: this.getMealPrepBudget(scheduledMeal),
             items: meal.items.map(item => ({
                 name: item.Item,
                 categories: this.getItemCategories(item),
                 tags: item.Tags ? item.Tags.split(',') : [],
-                difficulty: item.difficulty || item.Difficulty || 0
+                difficulty: item.difficulty || item.Difficulty || 0,
+                exclusionReason: this.getExclusionReason(item, meal.profile)
             }))
         };
     }
 }
 
+// The current/plan/history sheets have four item columns
+MealGenerator.MAX_ITEMS_PER_MEAL = 4;
+
+// Most combinations one exact cover search looks at before settling for the best so far
+MealGenerator.MAX_SEARCH_NODES = 20000;
+
+// Anything unused for longer than this is treated as equally overdue
+MealGenerator.MAX_STALENESS_DAYS = 365;
+
+// Refused foods get offered at full priority again after this long without being served
+MealGenerator.REEXPOSURE_DAYS = 10;
+
+// An item helping with an unmet daily target ranks as if it were this many days staler, per target
+MealGenerator.TARGET_BONUS_DAYS = 7;
+
 // Create global instance
 const mealGenerator = new MealGenerator();
@@ -0,0 +1,256 @@
+// Offline Store - IndexedDB cache of sheet contents plus a queue of writes waiting to sync
+class OfflineStore {
+    constructor() {
+        this.dbPromise = null;
+        this.memorySheets = new Map(); // Used when IndexedDB isn't available (e.g. private browsing)
+        this.memoryQueue = [];
+        this.nextMemoryId = 1;
+        this.queueListeners = [];
+    }
+
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                console.warn('IndexedDB not available - offline changes will only survive until the page is closed');
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(CONFIG.OFFLINE_DB.NAME, CONFIG.OFFLINE_DB.VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('sheets')) {
+                    db.createObjectStore('sheets', { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains('queue')) {
+                    db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Could not open IndexedDB - offline changes will only survive until the page is closed:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Whether stored data survives a reload - false when IndexedDB is unavailable and only
+     * memory is used (e.g. private browsing)
+     */
+    async isPersistent() {
+        return (await this.openDatabase()) !== null;
+    }
+
+    /**
+     * Run a single request against an object store and resolve with its result
+     */
+    async runRequest(storeName, mode, createRequest) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = createRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    sheetKey(spreadsheetId, sheetName) {
+        return `${spreadsheetId}:${sheetName}`;
+    }
+
+    /**
+     * Cached values of a whole sheet, or null if it was never cached
+     */
+    async getSheet(spreadsheetId, sheetName) {
+        const key = this.sheetKey(spreadsheetId, sheetName);
+
+        try {
+            if (!(await this.openDatabase())) {
+                return this.memorySheets.has(key) ? this.memorySheets.get(key) : null;
+            }
+
+            const record = await this.runRequest('sheets', 'readonly', store => store.get(key));
+            return record ? record.values : null;
+        } catch (error) {
+            console.error(`Error reading cached sheet ${sheetName}:`, error);
+            return null;
+        }
+    }
+
+    async putSheet(spreadsheetId, sheetName, values) {
+        const key = this.sheetKey(spreadsheetId, sheetName);
+
+        try {
+            if (!(await this.openDatabase())) {
+                this.memorySheets.set(key, values);
+                return;
+            }
+
+            await this.runRequest('sheets', 'readwrite', store => store.put({
+                key: key,
+                values: values,
+                cachedAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            // A stale cache only matters offline, so don't fail the caller
+            console.error(`Error caching sheet ${sheetName}:`, error);
+        }
+    }
+
+    /**
+     * Queued write operations in the order they were made
+     */
+    async getQueue() {
+        if (!(await this.openDatabase())) {
+            return [...this.memoryQueue];
+        }
+
+        const operations = await this.runRequest('queue', 'readonly', store => store.getAll());
+        return operations.sort((a, b) => a.id - b.id);
+    }
+
+    async enqueue(operation) {
+        const queuedOperation = { ...operation, queuedAt: new Date().toISOString() };
+
+        if (!(await this.openDatabase())) {
+            this.memoryQueue.push({ ...queuedOperation, id: this.nextMemoryId++ });
+        } else {
+            await this.runRequest('queue', 'readwrite', store => store.add(queuedOperation));
+        }
+
+        console.log(`Queued ${operation.type} on ${operation.sheetName} for sync`);
+        await this.notifyQueueChange();
+    }
+
+    async removeFromQueue(id) {
+        if (!(await this.openDatabase())) {
+            this.memoryQueue = this.memoryQueue.filter(operation => operation.id !== id);
+        } else {
+            await this.runRequest('queue', 'readwrite', store => store.delete(id));
+        }
+
+        await this.notifyQueueChange();
+    }
+
+    async getPendingCount() {
+        return (await this.getQueue()).length;
+    }
+
+    onQueueChange(callback) {
+        this.queueListeners.push(callback);
+    }
+
+    async notifyQueueChange() {
+        const pendingCount = await this.getPendingCount();
+        this.queueListeners.forEach(callback => callback(pendingCount));
+    }
+
+    /**
+     * Parse an A1 range like "A1", "B5:D9", "A:Z" or "1:1" into 0-based bounds.
+     * Open-ended sides are Infinity; an empty range covers the whole sheet.
+     */
+    parseRange(range = '') {
+        const bounds = { startRow: 0, endRow: Infinity, startCol: 0, endCol: Infinity };
+        if (!range) return bounds;
+
+        const parseCell = cell => {
+            const match = cell.match(/^([A-Z]*)(\d*)$/i);
+            if (!match) throw new Error(`Unsupported range: ${range}`);
+
+            return {
+                col: match[1] ? letterToColumn(match[1]) : null,
+                row: match[2] ? parseInt(match[2], 10) - 1 : null
+            };
+        };
+
+        const [startCell, endCell] = range.split(':');
+        const start = parseCell(startCell);
+        const end = endCell !== undefined ? parseCell(endCell) : start;
+
+        if (start.row !== null) bounds.startRow = start.row;
+        if (start.col !== null) bounds.startCol = start.col;
+        if (end.row !== null) bounds.endRow = end.row;
+        if (end.col !== null) bounds.endCol = end.col;
+
+        return bounds;
+    }
+
+    /**
+     * Trim trailing empty cells and rows the way the Sheets API does
+     */
+    normalizeGrid(grid) {
+        const rows = grid.map(row => {
+            const trimmed = [...(row || [])];
+            while (trimmed.length > 0 && (trimmed[trimmed.length - 1] === '' || trimmed[trimmed.length - 1] === undefined)) {
+                trimmed.pop();
+            }
+            return trimmed;
+        });
+
+        while (rows.length > 0 && rows[rows.length - 1].length === 0) {
+            rows.pop();
+        }
+        return rows;
+    }
+
+    readGrid(grid, range) {
+        const bounds = this.parseRange(range);
+        const rows = grid
+            .slice(bounds.startRow, bounds.endRow === Infinity ? undefined : bounds.endRow + 1)
+            .map(row => row.slice(bounds.startCol, bounds.endCol === Infinity ? undefined : bounds.endCol + 1));
+        return this.normalizeGrid(rows);
+    }
+
+    applyWrite(grid, range, values) {
+        const bounds = this.parseRange(range);
+        const updated = grid.map(row => [...row]);
+
+        values.forEach((rowValues, rowOffset) => {
+            const rowIndex = bounds.startRow + rowOffset;
+            while (updated.length <= rowIndex) updated.push([]);
+
+            rowValues.forEach((value, colOffset) => {
+                const colIndex = bounds.startCol + colOffset;
+                while (updated[rowIndex].length < colIndex) updated[rowIndex].push('');
+                updated[rowIndex][colIndex] = value === null || value === undefined ? '' : String(value);
+            });
+        });
+
+        return this.normalizeGrid(updated);
+    }
+
+    applyAppend(grid, values) {
+        return this.normalizeGrid([
+            ...this.normalizeGrid(grid),
+            ...values.map(row => row.map(value => value === null || value === undefined ? '' : String(value)))
+        ]);
+    }
+
+    applyClear(grid, range) {
+        const bounds = this.parseRange(range);
+
+        const updated = grid.map((row, rowIndex) => {
+            if (rowIndex < bounds.startRow || rowIndex > bounds.endRow) return [...row];
+            return row.map((value, colIndex) =>
+                colIndex >= bounds.startCol && colIndex <= bounds.endCol ? '' : value
+            );
+        });
+
+        return this.normalizeGrid(updated);
+    }
+
+    applyDeleteRow(grid, rowNumber) {
+        return this.normalizeGrid(grid.filter((row, rowIndex) => rowIndex !== rowNumber - 1));
+    }
+}
+
+// Create global instance
+const offlineStore = new OfflineStore();
@@ -0,0 +1,272 @@
+// Schedule View - add, remove, reorder and retime meals and choose their required categories
+class ScheduleView {
+    constructor() {
+        this.isOpen = false;
+        this.rows = []; // Working copy of the schedule, saved all at once
+    }
+
+    async open() {
+        this.isOpen = true;
+        app.showView('scheduleView');
+        await this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        app.showView('dashboardView');
+    }
+
+    async render() {
+        try {
+            app.showLoading('Loading schedule...');
+            await mealGenerator.loadData();
+
+            // Remember each meal's saved name so renames can carry today's meal along
+            this.rows = mealGenerator.schedule.map(scheduledMeal => ({ ...scheduledMeal, originalName: scheduledMeal.Name }));
+            document.getElementById('scheduleRegenerateCheckbox').checked = false;
+            this.renderRows();
+
+            app.hideLoading();
+        } catch (error) {
+            console.error('Error rendering schedule:', error);
+            app.hideLoading();
+
+            if (error.message && error.message.includes('Authentication required')) {
+                app.handleAuthError(error);
+            } else {
+                app.showError('Failed to load the schedule. Please try again.');
+            }
+        }
+    }
+
+    renderRows() {
+        const list = document.getElementById('scheduleList');
+        list.innerHTML = '';
+
+        if (this.rows.length === 0) {
+            list.innerHTML = '<div class="library-empty">No meals scheduled. Add one below.</div>';
+            return;
+        }
+
+        this.rows.forEach((row, rowIndex) => {
+            const rowElement = document.createElement('div');
+            rowElement.className = 'schedule-row';
+
+            // Reorder
+            const orderButtons = document.createElement('div');
+            orderButtons.className = 'schedule-order-buttons';
+            [['▲', -1, 'Move up'], ['▼', 1, 'Move down']].forEach(([label, offset, title]) => {
+                const button = document.createElement('button');
+                button.className = 'schedule-order-btn';
+                button.textContent = label;
+                button.title = title;
+                button.disabled = rowIndex + offset < 0 || rowIndex + offset >= this.rows.length;
+                button.addEventListener('click', () => this.moveRow(rowIndex, offset));
+                orderButtons.appendChild(button);
+            });
+            rowElement.appendChild(orderButtons);
+
+            const fields = document.createElement('div');
+            fields.className = 'schedule-fields';
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'schedule-name-input';
+            nameInput.placeholder = 'Meal name';
+            nameInput.value = row.Name || '';
+            nameInput.addEventListener('input', () => { row.Name = nameInput.value; });
+            fields.appendChild(nameInput);
+
+            const timeInput = document.createElement('input');
+            timeInput.type = 'time';
+            timeInput.className = 'schedule-time-input';
+            timeInput.value = timeToInputValue(row.Time);
+            timeInput.addEventListener('change', () => { row.Time = inputValueToTime(timeInput.value); });
+            fields.appendChild(timeInput);
+
+            const daysInput = document.createElement('input');
+            daysInput.type = 'text';
+            daysInput.className = 'schedule-days-input';
+            daysInput.placeholder = 'Every day';
+            daysInput.title = 'Days this meal happens, e.g. Mon-Fri or Sat, Sun';
+            daysInput.value = row.Days || '';
+            daysInput.addEventListener('input', () => { row.Days = daysInput.value; });
+            fields.appendChild(daysInput);
+
+            const prepInput = document.createElement('input');
+            prepInput.type = 'number';
+            prepInput.min = '0';
+            prepInput.className = 'schedule-prep-input';
+            prepInput.placeholder = 'Prep min';
+            prepInput.title = 'Most minutes of prep for this meal (empty for no limit)';
+            prepInput.value = row['Prep Budget'] || '';
+            prepInput.addEventListener('input', () => { row['Prep Budget'] = prepInput.value; });
+            fields.appendChild(prepInput);
+
+            // Only meaningful when there are several children
+            if (mealGenerator.profiles.length > 0) {
+                const profileSelect = document.createElement('select');
+                profileSelect.className = 'schedule-profile-select';
+                ['', ...mealGenerator.profiles].forEach(profile => {
+                    const option = document.createElement('option');
+                    option.value = profile;
+                    option.textContent = profile || 'Everyone';
+                    profileSelect.appendChild(option);
+                });
+                profileSelect.value = mealGenerator.profiles.includes(row.Profile) ? row.Profile : '';
+                profileSelect.addEventListener('change', () => { row.Profile = profileSelect.value; });
+                fields.appendChild(profileSelect);
+            }
+
+            // Required categories
+            const categories = document.createElement('div');
+            categories.className = 'category-checkboxes schedule-categories';
+            mealGenerator.getCategories().forEach(category => {
+                const label = document.createElement('label');
+                label.className = 'checkbox-label';
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = row[category] === 'y';
+                checkbox.addEventListener('change', () => { row[category] = checkbox.checked ? 'y' : ''; });
+
+                label.appendChild(checkbox);
+                label.appendChild(app.createCategoryTag(category));
+                categories.appendChild(label);
+            });
+            fields.appendChild(categories);
+
+            rowElement.appendChild(fields);
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'grocery-remove';
+            removeButton.title = 'Remove meal';
+            removeButton.innerHTML = '&times;';
+            removeButton.addEventListener('click', () => this.removeRow(rowIndex));
+            rowElement.appendChild(removeButton);
+
+            list.appendChild(rowElement);
+        });
+    }
+
+    moveRow(rowIndex, offset) {
+        const [row] = this.rows.splice(rowIndex, 1);
+        this.rows.splice(rowIndex + offset, 0, row);
+        this.renderRows();
+    }
+
+    removeRow(rowIndex) {
+        this.rows.splice(rowIndex, 1);
+        this.renderRows();
+    }
+
+    addRow() {
+        this.rows.push({ Name: '', Time: '12:00 PM', Profile: '' });
+        this.renderRows();
+
+        const nameInputs = document.querySelectorAll('#scheduleList .schedule-name-input');
+        nameInputs[nameInputs.length - 1].focus();
+    }
+
+    /**
+     * Problem with the edited schedule that stops it being saved, or null
+     */
+    getValidationError() {
+        const categories = mealGenerator.getCategories();
+
+        for (const row of this.rows) {
+            const name = (row.Name || '').trim();
+            if (!name) {
+                return 'Every meal needs a name.';
+            }
+            if (!categories.some(category => row[category] === 'y')) {
+                return `Choose at least one category for ${name}.`;
+            }
+
+            if (row['Prep Budget'] && !(parseFloat(row['Prep Budget']) >= 0)) {
+                return `The prep budget for ${name} should be a number of minutes.`;
+            }
+
+            let days;
+            try {
+                days = parseDaysCell(row.Days);
+            } catch (error) {
+                return `Days for ${name}: ${error.message}. Use e.g. Mon-Fri or Sat, Sun.`;
+            }
+
+            // A child can't have two meals with the same name on the same day
+            const clash = this.rows.find(other => {
+                if (other === row || (other.Name || '').trim() !== name) return false;
+                if (other.Profile && row.Profile && other.Profile !== row.Profile) return false;
+
+                let otherDays;
+                try {
+                    otherDays = parseDaysCell(other.Days);
+                } catch (error) {
+                    return false; // Reported when that row is checked
+                }
+                return days === null || otherDays === null || [...days].some(day => otherDays.has(day));
+            });
+            if (clash) {
+                return `There are two meals called "${name}" on the same day.`;
+            }
+        }
+
+        return null;
+    }
+
+    async save() {
+        const validationError = this.getValidationError();
+        if (validationError) {
+            app.showError(validationError);
+            return;
+        }
+
+        try {
+            app.showLoading('Saving schedule...');
+
+            const renamedMeals = {};
+            const scheduleRows = this.rows.map(row => {
+                const { originalName, ...scheduleRow } = row;
+                scheduleRow.Name = scheduleRow.Name.trim();
+                
+                // Only a rename if no other row (e.g. the weekend one) still uses the old name
+                if (originalName && originalName !== scheduleRow.Name &&
+                    !this.rows.some(other => other.Name.trim() === originalName)) {
+                    renamedMeals[originalName] = scheduleRow.Name;
+                }
+                return scheduleRow;
+            });
+
+            await sheetsAPI.saveSchedule(scheduleRows);
+
+            const summary = await mealGenerator.patchTodaysMeals({
+                renamedMeals: renamedMeals,
+                regenerate: document.getElementById('scheduleRegenerateCheckbox').checked
+            });
+
+            app.hideLoading();
+            await app.loadMeals();
+            this.close();
+
+            const changes = [];
+            if (summary.added > 0) changes.push(`${summary.added} added`);
+            if (summary.regenerated > 0) changes.push(`${summary.regenerated} regenerated`);
+            if (summary.removed > 0) changes.push(`${summary.removed} removed`);
+            app.showGenerationWarnings(changes.length > 0 ?
+                `Schedule saved - today's meals: ${changes.join(', ')}` : 'Schedule saved');
+        } catch (error) {
+            console.error('Error saving schedule:', error);
+            app.hideLoading();
+
+            if (error.message && error.message.includes('Authentication required')) {
+                app.handleAuthError(error);
+            } else {
+                app.showError('Failed to save the schedule. Please try again.');
+            }
+        }
+    }
+}
+
+// Create global instance
+const scheduleView = new ScheduleView();
@@ -0,0 +1,248 @@
+// Schema Validator - checks each sheet's headers and cell values against what the app expects
+class SchemaValidator {
+    /**
+     * Expected layout of a sheet. required columns are reported when missing; optional ones
+     * are only matched against misspellings (the app adds them when it first needs them).
+     * Category columns come from the configured categories for the items and schedule sheets.
+     */
+    getSchema(sheetKey, categories) {
+        const dummyHeaders = CONFIG.DUMMY_DATA[sheetKey][0];
+
+        switch (sheetKey) {
+            case 'ITEMS':
+                return {
+                    required: ['Item', 'Last Used', ...categories],
+                    optional: ['Tags', 'Difficulty', 'Allergens', 'Cooldown Days', ...CONFIG.NUTRIENTS.map(nutrient => nutrient.column)],
+                    markers: categories,
+                    lastUsed: 'Last Used'
+                };
+            case 'SCHEDULE':
+                return {
+                    required: ['Name', 'Time', ...categories],
+                    optional: ['Profile', 'Days', 'Prep Budget'],
+                    markers: categories
+                };
+            case 'GROCERY':
+                return { required: ['Item'], optional: ['Bought'], aliases: { need: 'Item' } };
+            case 'CURRENT':
+            case 'HISTORY':
+            case 'PLAN':
+                return { required: dummyHeaders, optional: [], sheetDate: 'date' };
+            default:
+                return { required: dummyHeaders, optional: [] };
+        }
+    }
+
+    /**
+     * Read every sheet and list what's wrong with it. Each issue is
+     * { sheet, message, fix } where fix is null when it needs a human, otherwise one of
+     * { type: 'rename', column, header }, { type: 'add', header } or
+     * { type: 'cell', row, column, value } (row and column 0-indexed, the header is row 0).
+     */
+    async validate(categories) {
+        const issues = [];
+
+        for (const [sheetKey, sheetName] of Object.entries(CONFIG.SHEETS)) {
+            let data;
+            try {
+                data = await sheetsAPI.readRange(sheetName);
+            } catch (error) {
+                console.error(`Error reading ${sheetName} for validation:`, error);
+                issues.push({ sheet: sheetName, message: `The ${sheetName} sheet could not be read`, fix: null });
+                continue;
+            }
+
+            issues.push(...this.validateSheet(sheetName, this.getSchema(sheetKey, categories), data));
+        }
+
+        console.log(`Schema check found ${issues.length} issue(s)`);
+        return issues;
+    }
+
+    validateSheet(sheetName, schema, data) {
+        const headers = (data[0] || []).map(header => header || '');
+
+        if (headers.every(header => !header.trim())) {
+            // An empty sheet (e.g. today's meals after a clear) gets its headers when first written
+            const hasData = data.slice(1).some(row => row.some(cell => cell));
+            if (!hasData) return [];
+
+            // Writing the expected headers over existing data would likely mislabel its columns
+            return [{
+                sheet: sheetName,
+                message: `Header row is empty - add the headers above the data by hand (expected ${schema.required.join(', ')})`,
+                fix: null
+            }];
+        }
+
+        const issues = [];
+        const expected = [...schema.required, ...schema.optional];
+        const columnOf = {}; // expected header -> column it's in, once matched or repaired
+
+        expected.forEach(header => {
+            const column = headers.indexOf(header);
+            if (column !== -1) columnOf[header] = column;
+        });
+
+        // Headers that aren't exactly right but clearly mean an expected one
+        headers.forEach((header, column) => {
+            if (expected.includes(header) || !header.trim()) return;
+
+            const normalized = this.normalizeHeader(header);
+            const unmatched = expected.filter(candidate => columnOf[candidate] === undefined);
+            const miscased = unmatched.find(candidate => this.normalizeHeader(candidate) === normalized);
+            const alias = (schema.aliases || {})[normalized];
+            const meant = miscased || alias ||
+                unmatched.find(candidate => this.isLikelyTypo(normalized, this.normalizeHeader(candidate)));
+            if (!meant || columnOf[meant] !== undefined) return;
+
+            columnOf[meant] = column;
+            let message = `Column "${header}" looks like a misspelling of "${meant}"`;
+            if (miscased) message = `Column "${header}" should be written "${meant}"`;
+            else if (alias) message = `Column "${header}" should be called "${meant}"`;
+            issues.push({ sheet: sheetName, message, fix: { type: 'rename', column, header: meant } });
+        });
+
+        schema.required
+            .filter(header => columnOf[header] === undefined)
+            .forEach(header => {
+                issues.push({ sheet: sheetName, message: `Missing the "${header}" column`, fix: { type: 'add', header } });
+            });
+
+        // Cell values, looked up through the repaired header positions
+        data.slice(1).forEach((row, index) => {
+            const rowIndex = index + 1;
+            const rowLabel = `Row ${rowIndex + 1}`;
+            if (!row.some(cell => cell)) return;
+
+            (schema.markers || []).forEach(header => {
+                const column = columnOf[header];
+                const value = column === undefined ? '' : (row[column] || '');
+                if (value === '' || value === 'y') return;
+
+                const marker = this.normalizeMarker(value);
+                issues.push({
+                    sheet: sheetName,
+                    message: `${rowLabel}: "${value}" in ${header} should be "y" or empty`,
+                    fix: marker === null ? null : { type: 'cell', row: rowIndex, column, value: marker }
+                });
+            });
+
+            if (schema.lastUsed && columnOf[schema.lastUsed] !== undefined) {
+                const column = columnOf[schema.lastUsed];
+                const value = (row[column] || '').trim();
+                if (value && value !== 'never' && isNaN(this.parseLastUsed(value).getTime())) {
+                    issues.push({
+                        sheet: sheetName,
+                        message: `${rowLabel}: "${value}" in ${schema.lastUsed} isn't a date`,
+                        fix: { type: 'cell', row: rowIndex, column, value: 'never' }
+                    });
+                }
+            }
+
+            if (schema.sheetDate && columnOf[schema.sheetDate] !== undefined) {
+                const column = columnOf[schema.sheetDate];
+                const value = (row[column] || '').trim();
+                const normalized = this.normalizeSheetDate(value);
+                if (normalized !== value) {
+                    issues.push({
+                        sheet: sheetName,
+                        message: `${rowLabel}: "${value}" should be a date like ${getTodayString()}`,
+                        fix: normalized === null ? null : { type: 'cell', row: rowIndex, column, value: normalized }
+                    });
+                }
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Last Used is an ISO timestamp, or a date like 8/15/2025 in older sheets
+     */
+    parseLastUsed(value) {
+        return value.includes('/') ? parseDateString(value) : new Date(value);
+    }
+
+    normalizeHeader(header) {
+        return header.trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * One or two letters off (one for short names), e.g. "Veggies" for "Veggie" or "Last Use" for "Last Used"
+     */
+    isLikelyTypo(header, candidate) {
+        if (Math.min(header.length, candidate.length) < 4) return false;
+        const maxDistance = candidate.length < 6 ? 1 : 2;
+        return this.editDistance(header, candidate) <= maxDistance;
+    }
+
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * "y" or "" for the ways people mark a category by hand, or null when it's unclear
+     */
+    normalizeMarker(value) {
+        const normalized = value.trim().toLowerCase();
+        if (SchemaValidator.YES_MARKERS.includes(normalized)) return 'y';
+        if (SchemaValidator.NO_MARKERS.includes(normalized)) return '';
+        return null;
+    }
+
+    /**
+     * The MM/DD/YYYY form of a date cell (unpadded, two-digit year and YYYY-MM-DD are
+     * understood), or null when it isn't a date
+     */
+    normalizeSheetDate(value) {
+        let match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+        let parts = match ? { month: match[1], day: match[2], year: match[3] } : null;
+
+        if (!parts) {
+            match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+            parts = match ? { month: match[2], day: match[3], year: match[1] } : null;
+        }
+        if (!parts) return null;
+
+        const year = parts.year.length === 2 ? 2000 + parseInt(parts.year, 10) : parseInt(parts.year, 10);
+        const date = new Date(year, parseInt(parts.month, 10) - 1, parseInt(parts.day, 10));
+        if (date.getMonth() !== parseInt(parts.month, 10) - 1) return null; // e.g. 02/31
+
+        return formatDateString(date);
+    }
+
+    /**
+     * Apply the fixes of the given issues, one sheet at a time. Returns how many were applied.
+     */
+    async repair(issues) {
+        const fixable = issues.filter(issue => issue.fix);
+        const sheets = [...new Set(fixable.map(issue => issue.sheet))];
+
+        for (const sheetName of sheets) {
+            await sheetsAPI.applySchemaFixes(sheetName, fixable.filter(issue => issue.sheet === sheetName).map(issue => issue.fix));
+        }
+
+        console.log(`Repaired ${fixable.length} issue(s) across ${sheets.length} sheet(s)`);
+        return fixable.length;
+    }
+}
+
+// Cell values read as a category marker ("y") or as no marker
+SchemaValidator.YES_MARKERS = ['y', 'yes', 'x', 'true', '1', '✓', '✔'];
+SchemaValidator.NO_MARKERS = ['n', 'no', 'false', '0', '-'];
+
+// Create global instance
+const schemaValidator = new SchemaValidator();
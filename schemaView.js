@@ -0,0 +1,141 @@
+// Schema View - guided check of the spreadsheet's columns and values, with one-click repair
+class SchemaView {
+    constructor() {
+        this.isOpen = false;
+        this.issues = [];
+    }
+
+    async open() {
+        this.isOpen = true;
+        app.showView('schemaView');
+        await this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        app.showView('dashboardView');
+    }
+
+    async render() {
+        try {
+            app.showLoading('Checking spreadsheet...');
+
+            // Category columns depend on the configured categories
+            await mealGenerator.loadData();
+            this.issues = await schemaValidator.validate(mealGenerator.getCategories());
+            this.renderIssues();
+
+            app.hideLoading();
+        } catch (error) {
+            console.error('Error checking spreadsheet:', error);
+            app.hideLoading();
+
+            if (error.message && error.message.includes('Authentication required')) {
+                app.handleAuthError(error);
+            } else {
+                app.showError('Failed to check the spreadsheet. Please try again.');
+            }
+        }
+    }
+
+    renderIssues() {
+        const container = document.getElementById('schemaContent');
+        container.innerHTML = '';
+
+        const fixableCount = this.issues.filter(issue => issue.fix).length;
+        const repairBtn = document.getElementById('repairSchemaBtn');
+        repairBtn.disabled = fixableCount === 0;
+        repairBtn.textContent = fixableCount > 0 ? `Repair ${fixableCount} Issue${fixableCount === 1 ? '' : 's'}` : 'Repair';
+
+        if (this.issues.length === 0) {
+            container.innerHTML = '<div class="library-empty">Everything looks right - every sheet has the columns and values the app expects.</div>';
+            return;
+        }
+
+        const summary = document.createElement('p');
+        summary.className = 'stats-summary';
+        const manualCount = this.issues.length - fixableCount;
+        summary.textContent = `Found ${this.issues.length} issue${this.issues.length === 1 ? '' : 's'}. ` +
+            (fixableCount > 0 ? `${fixableCount} can be repaired automatically` : 'None can be repaired automatically') +
+            (manualCount > 0 ? `; ${manualCount} need${manualCount === 1 ? 's' : ''} fixing in the sheet by hand.` : '.');
+        container.appendChild(summary);
+
+        // One section per sheet, in the order the sheets are configured
+        Object.values(CONFIG.SHEETS)
+            .filter(sheetName => this.issues.some(issue => issue.sheet === sheetName))
+            .forEach(sheetName => {
+                const section = document.createElement('div');
+                section.className = 'stats-section';
+
+                const heading = document.createElement('h3');
+                heading.textContent = `${sheetName} sheet`;
+                section.appendChild(heading);
+
+                this.issues.filter(issue => issue.sheet === sheetName).forEach(issue => {
+                    const row = document.createElement('div');
+                    row.className = `schema-issue ${issue.fix ? 'fixable' : 'manual'}`;
+
+                    const message = document.createElement('span');
+                    message.textContent = issue.message;
+                    row.appendChild(message);
+
+                    const fix = document.createElement('span');
+                    fix.className = 'schema-fix';
+                    fix.textContent = this.describeFix(issue.fix);
+                    row.appendChild(fix);
+
+                    section.appendChild(row);
+                });
+
+                container.appendChild(section);
+            });
+    }
+
+    describeFix(fix) {
+        if (!fix) return 'Fix by hand';
+
+        switch (fix.type) {
+            case 'rename':
+                return `Rename to "${fix.header}"`;
+            case 'add':
+                return 'Add the column';
+            default:
+                return fix.value === '' ? 'Clear it' : `Change to "${fix.value}"`;
+        }
+    }
+
+    async repair() {
+        const fixableCount = this.issues.filter(issue => issue.fix).length;
+        if (fixableCount === 0) return;
+
+        const confirmed = confirm(
+            `Repair ${fixableCount} issue${fixableCount === 1 ? '' : 's'}? ` +
+            'Columns are renamed or added and the listed cells are changed in your spreadsheet.'
+        );
+        if (!confirmed) return;
+
+        try {
+            app.showLoading('Repairing spreadsheet...');
+            const repairedCount = await schemaValidator.repair(this.issues);
+            app.hideLoading();
+
+            // Today's meals pick up the repaired columns, then check again so anything left over is still listed
+            await app.loadMeals();
+            await this.render();
+
+            app.showTemporaryMessage(`Repaired ${repairedCount} issue${repairedCount === 1 ? '' : 's'}`);
+        } catch (error) {
+            console.error('Error repairing spreadsheet:', error);
+            app.hideLoading();
+
+            if (error.message && error.message.includes('Authentication required')) {
+                app.handleAuthError(error);
+            } else {
+                app.showError('Failed to repair the spreadsheet. Please try again.');
+            }
+        }
+    }
+}
+
+// Create global instance
+const schemaView = new SchemaView();
@@ -0,0 +1,1320 @@
+// Sheet Store - the storage interface the app uses through the global sheetsAPI.
+// Data is kept as named sheets of rows with a header row first. Backends supply the
+// raw range operations and the connection lifecycle; everything else is built on them.
+class SheetStore {
+    constructor() {
+        this.isLocal = false; // Data only lives on this device (no Google account)
+    }
+
+    /**
+     * Raw range operations every backend implements. Ranges use A1 notation
+     * ("A1", "B5", "A:Z", "1:1"); an empty range means the whole sheet.
+     */
+    async readRange(sheetName, range = '') {
+        throw new Error(`${this.constructor.name} does not implement readRange`);
+    }
+
+    async writeRange(sheetName, range, values) {
+        throw new Error(`${this.constructor.name} does not implement writeRange`);
+    }
+
+    async appendRange(sheetName, values) {
+        throw new Error(`${this.constructor.name} does not implement appendRange`);
+    }
+
+    async clearRange(sheetName, range) {
+        throw new Error(`${this.constructor.name} does not implement clearRange`);
+    }
+
+    /**
+     * Write several ranges of one sheet, each as { range, values }. Backends that can
+     * send them in a single request override this.
+     */
+    async batchWriteRanges(sheetName, data) {
+        for (const { range, values } of data) {
+            await this.writeRange(sheetName, range, values);
+        }
+    }
+
+    /**
+     * Remove a row (1-indexed) and shift the rows below it up. match (like findRecord's) picks
+     * the row out, so a backend replaying the delete later can find it again if rows moved.
+     */
+    async deleteRow(sheetName, rowNumber, match = null) {
+        throw new Error(`${this.constructor.name} does not implement deleteRow`);
+    }
+
+    /*
+     * Connection lifecycle used by MealPlanningApp - also implemented by each backend:
+     * initialize, isUserSignedIn, ensureSignedIn, signIn, signOut, checkOrCreateSpreadsheet,
+     * createSpreadsheet, testConnection, ensureSheetsExist, setupTokenRefresh,
+     * clearTokenRefresh, isOffline, syncPendingWrites, cacheAllSheets and detectRemoteChanges.
+     * Backends with a local copy of a remote sheet also override isReadingFromCache.
+     */
+
+    /**
+     * Whether reads come from a local copy that may be missing other devices' changes
+     * (offline, or this device's writes still waiting to sync). Merging needs the real sheet.
+     */
+    async isReadingFromCache() {
+        return false;
+    }
+
+    /**
+     * Empty a whole sheet, however many columns it has
+     */
+    async clearSheet(sheetName) {
+        return this.clearRange(sheetName, '');
+    }
+
+    /*
+     * Header-keyed rows. A record is a plain object keyed by header; the sheet-specific
+     * methods below read and write through these, so they don't depend on column positions.
+     */
+
+    /**
+     * Read a sheet as { headers, rows } where each row is { rowNumber (1-indexed), record }
+     */
+    async readTable(sheetName) {
+        const data = await this.readRange(sheetName);
+        const headers = data[0] || [];
+        const rows = data.slice(1).map((values, index) => {
+            const record = {};
+            headers.forEach((header, column) => {
+                record[header] = values[column] || '';
+            });
+            return { rowNumber: index + 2, record };
+        });
+        return { headers, rows };
+    }
+
+    async readRecords(sheetName) {
+        return (await this.readTable(sheetName)).rows.map(row => row.record);
+    }
+
+    /**
+     * First row whose record has every value in match, as { rowNumber, record }, or null
+     */
+    async findRecord(sheetName, match) {
+        const { rows } = await this.readTable(sheetName);
+        return rows.find(row => this.recordMatches(row.record, match)) || null;
+    }
+
+    /**
+     * A column the sheet doesn't have reads as empty, so { Profile: '' } matches sheets without one
+     */
+    recordMatches(record, match) {
+        return Object.entries(match).every(([header, value]) => (record[header] || '') === value);
+    }
+
+    /**
+     * Update named fields of existing rows. Each update is { match, fields } and changes the
+     * first row matching like findRecord; only the cells of the given fields are written, all
+     * in one batch. Missing columns are added for fields with a value. Returns the rows matched.
+     * Each cell written also carries its match and field, so a write replayed later lands on the
+     * same record even if rows moved in the meantime. An update may also give base values (what
+     * its fields held when this device last saw them): a replayed cell that another device has
+     * changed since then is left alone.
+     */
+    async updateRecords(sheetName, updates) {
+        if (updates.length === 0) return 0;
+
+        await this.ensureFieldHeaders(sheetName, updates.map(update => update.fields));
+        const { headers, rows } = await this.readTable(sheetName);
+
+        let matched = 0;
+        const data = [];
+        updates.forEach(({ match, fields, base = {} }) => {
+            const row = rows.find(row => this.recordMatches(row.record, match));
+            if (!row) return;
+
+            matched++;
+            Object.entries(fields).forEach(([field, value]) => {
+                const column = this.findColumn(headers, field);
+                if (column !== -1 && value !== undefined && value !== null) {
+                    data.push({ range: cellAddress(column, row.rowNumber), values: [[value]], match, field, base: base[field] });
+                }
+            });
+        });
+
+        if (data.length > 0) {
+            await this.batchWriteRanges(sheetName, data);
+        }
+        return matched;
+    }
+
+    /**
+     * updateRecords for one row. Returns false when no row matched.
+     */
+    async updateRecord(sheetName, match, fields) {
+        return await this.updateRecords(sheetName, [{ match, fields }]) > 0;
+    }
+
+    /**
+     * Append records as rows, each value under its field's column
+     */
+    async appendRecords(sheetName, records) {
+        if (records.length === 0) return;
+
+        const headers = await this.ensureFieldHeaders(sheetName, records);
+        await this.appendRange(sheetName, records.map(record => this.recordToRow(headers, record)));
+    }
+
+    /**
+     * Replace every row of a sheet with the given records. The header row is kept (or the
+     * sheet's default one if it has none) and columns are added for any other fields.
+     */
+    async writeRecords(sheetName, records) {
+        const headerData = await this.readRange(sheetName, '1:1');
+        const headers = [...(headerData[0] || this.getDefaultHeaders(sheetName))];
+        records.forEach(record => {
+            Object.keys(record)
+                .filter(field => record[field] && this.findColumn(headers, field) === -1)
+                .forEach(field => headers.push(field));
+        });
+
+        await this.clearSheet(sheetName);
+        await this.writeRange(sheetName, 'A1', [headers, ...records.map(record => this.recordToRow(headers, record))]);
+    }
+
+    recordToRow(headers, record) {
+        const row = headers.map(() => '');
+        Object.entries(record).forEach(([field, value]) => {
+            const column = this.findColumn(headers, field);
+            if (column !== -1 && value !== undefined && value !== null) row[column] = value;
+        });
+        return row;
+    }
+
+    /**
+     * Column of a field: its exact header, otherwise one that only differs in case or spacing
+     */
+    findColumn(headers, field) {
+        const exact = headers.indexOf(field);
+        if (exact !== -1) return exact;
+
+        const normalized = field.trim().toLowerCase();
+        return headers.findIndex(header => (header || '').trim().toLowerCase() === normalized);
+    }
+
+    getDefaultHeaders(sheetName) {
+        const sheetKey = Object.keys(CONFIG.SHEETS).find(key => CONFIG.SHEETS[key] === sheetName);
+        return CONFIG.DUMMY_DATA[sheetKey] ? CONFIG.DUMMY_DATA[sheetKey][0] : [];
+    }
+
+    /**
+     * Add a column for every field given a value that the sheet doesn't have yet. A sheet with
+     * no header row gets its default headers first. Returns the header row.
+     */
+    async ensureFieldHeaders(sheetName, records) {
+        const headers = (await this.readRange(sheetName, '1:1'))[0] || [];
+        const fields = records.flatMap(record => Object.keys(record).filter(field => record[field]));
+        const missingHeaders = [...new Set([...(headers.length === 0 ? this.getDefaultHeaders(sheetName) : []), ...fields])]
+            .filter(field => this.findColumn(headers, field) === -1);
+
+        return missingHeaders.length > 0 ? this.ensureHeaders(sheetName, missingHeaders) : headers;
+    }
+
+    async initializeSheetsWithDummyData() {
+        try {
+            console.log('Initializing sheets with dummy data...');
+            
+            // Initialize each sheet with its dummy data
+            for (const [sheetKey, dummyData] of Object.entries(CONFIG.DUMMY_DATA)) {
+                const sheetName = CONFIG.SHEETS[sheetKey];
+                console.log(`Initializing ${sheetName} with dummy data...`);
+                
+                await this.writeRange(sheetName, 'A1', dummyData);
+            }
+            
+            // New spreadsheets start on the current layout, nothing to migrate
+            await this.saveMetaValue(CONFIG.META_KEYS.SCHEMA_VERSION, String(CONFIG.SCHEMA_VERSION));
+            
+            console.log('All sheets initialized with dummy data');
+        } catch (error) {
+            console.error('Error initializing sheets with dummy data:', error);
+            throw error;
+        }
+    }
+
+    // Specific methods for each sheet type
+    async getItems() {
+        return this.readRecords(CONFIG.SHEETS.ITEMS);
+    }
+
+    async getSchedule() {
+        return this.readRecords(CONFIG.SHEETS.SCHEDULE);
+    }
+
+    /**
+     * Replace the schedule with the given rows, in order. Rows are keyed by header like
+     * getSchedule() returns them; existing columns are kept and missing ones are added.
+     */
+    async saveSchedule(scheduleRows) {
+        try {
+            await this.writeRecords(CONFIG.SHEETS.SCHEDULE, scheduleRows);
+            
+            console.log(`Saved schedule with ${scheduleRows.length} meal(s)`);
+        } catch (error) {
+            console.error('Error saving schedule:', error);
+            throw error;
+        }
+    }
+
+    async getGroceryList() {
+        // Return just the list of items needed
+        return (await this.readRecords(CONFIG.SHEETS.GROCERY)).map(entry => entry.Item).filter(item => item);
+    }
+
+    /**
+     * Grocery rows with their check-off state: [{ Item, Bought }]
+     */
+    async getGroceryEntries() {
+        return (await this.readRecords(CONFIG.SHEETS.GROCERY))
+            .filter(entry => entry.Item)
+            .map(entry => ({ Item: entry.Item, Bought: entry.Bought || '' }));
+    }
+
+    /**
+     * Add an item to the grocery list unless it's already on it.
+     * Returns false when it was already there and still needed.
+     */
+    async addGroceryItem(itemName) {
+        try {
+            const entries = await this.getGroceryEntries();
+            const existing = entries.find(entry => entry.Item.toLowerCase() === itemName.toLowerCase());
+            
+            if (existing) {
+                if (existing.Bought === 'y') {
+                    await this.setGroceryBought(existing.Item, false);
+                    return true;
+                }
+                return false;
+            }
+            
+            await this.appendRecords(CONFIG.SHEETS.GROCERY, [{ Item: itemName }]);
+            return true;
+        } catch (error) {
+            console.error(`Error adding ${itemName} to grocery list:`, error);
+            throw error;
+        }
+    }
+
+    async setGroceryBought(itemName, bought) {
+        try {
+            const updated = await this.updateRecord(CONFIG.SHEETS.GROCERY, { Item: itemName }, { Bought: bought ? 'y' : '' });
+            if (!updated) {
+                throw new Error(`${itemName} is not on the grocery list`);
+            }
+        } catch (error) {
+            console.error(`Error checking off ${itemName}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove items from the grocery list so they can be generated again
+     */
+    async removeGroceryItems(itemNames) {
+        try {
+            const entries = await this.readRecords(CONFIG.SHEETS.GROCERY);
+            if (entries.length === 0) return;
+            
+            const remainingEntries = entries.filter(entry => entry.Item && !itemNames.includes(entry.Item));
+            
+            await this.writeRecords(CONFIG.SHEETS.GROCERY, remainingEntries);
+            console.log(`Removed ${entries.length - remainingEntries.length} item(s) from the grocery list`);
+        } catch (error) {
+            console.error('Error removing grocery items:', error);
+            throw error;
+        }
+    }
+
+    async getCurrentMeals() {
+        return this.readRecords(CONFIG.SHEETS.CURRENT);
+    }
+
+    async getHistory() {
+        return this.readRecords(CONFIG.SHEETS.HISTORY);
+    }
+
+    async getPlan() {
+        return this.readRecords(CONFIG.SHEETS.PLAN);
+    }
+
+    async savePlan(plannedMeals) {
+        try {
+            await this.writeRecords(CONFIG.SHEETS.PLAN, plannedMeals.map(meal => this.mealToRecord(meal)));
+        } catch (error) {
+            console.error('Error saving plan:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * The fields a meal is stored with in the current, plan and history sheets (up to 4 items)
+     */
+    mealToRecord(meal, date = meal.date) {
+        const record = { date, 'meal name': meal.name, profile: meal.profile || '' };
+        for (let i = 0; i < 4; i++) {
+            const item = meal.items[i];
+            record[`item ${i + 1}`] = item ? (item.Item || item.name || item) : '';
+        }
+        return record;
+    }
+
+    /**
+     * Settings grouped by profile: { '': shared settings, 'Ava': Ava's settings, ... }
+     */
+    async getSettings() {
+        const settings = { '': {} };
+        
+        // One setting per row: Setting, Value, Profile (empty = shared)
+        (await this.readRecords(CONFIG.SHEETS.SETTINGS)).forEach(row => {
+            if (row.Setting) {
+                const profile = row.Profile || '';
+                settings[profile] = settings[profile] || {};
+                settings[profile][row.Setting] = row.Value || '';
+            }
+        });
+        return settings;
+    }
+
+    async saveSetting(key, value, profile = '') {
+        try {
+            const updated = await this.updateRecord(CONFIG.SHEETS.SETTINGS, { Setting: key, Profile: profile }, { Value: value });
+            if (!updated) {
+                await this.appendRecords(CONFIG.SHEETS.SETTINGS, [{ Setting: key, Value: value, Profile: profile }]);
+            }
+        } catch (error) {
+            console.error(`Error saving setting ${key}:`, error);
+            throw error;
+        }
+    }
+
+    async getCategories() {
+        return (await this.readRecords(CONFIG.SHEETS.CATEGORIES))
+            .map(row => {
+                const category = {};
+                Object.entries(row).forEach(([header, value]) => {
+                    category[header] = value.trim();
+                });
+                return category;
+            })
+            .filter(category => category.Category);
+    }
+
+    async getProfiles() {
+        // Return just the list of profile names
+        return (await this.readRecords(CONFIG.SHEETS.PROFILES)).map(row => row.Name).filter(name => name);
+    }
+
+    async saveProfiles(profileNames) {
+        try {
+            await this.writeRecords(CONFIG.SHEETS.PROFILES, profileNames.map(name => ({ Name: name })));
+            
+            // Make sure every per-profile sheet has somewhere to record the profile
+            await this.ensureHeader(CONFIG.SHEETS.SCHEDULE, 'Profile');
+            await this.ensureHeader(CONFIG.SHEETS.HISTORY, 'profile');
+            await this.ensureHeader(CONFIG.SHEETS.SETTINGS, 'Profile');
+        } catch (error) {
+            console.error('Error saving profiles:', error);
+            throw error;
+        }
+    }
+
+    async getMetaValue(key) {
+        const row = await this.findRecord(CONFIG.SHEETS.META, { Key: key });
+        return row ? (row.record.Value || '') : '';
+    }
+
+    async saveMetaValue(key, value) {
+        try {
+            const updated = await this.updateRecord(CONFIG.SHEETS.META, { Key: key }, { Value: value });
+            if (!updated) {
+                await this.appendRecords(CONFIG.SHEETS.META, [{ Key: key, Value: value }]);
+            }
+        } catch (error) {
+            console.error(`Error saving meta value ${key}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Schema version recorded in the meta sheet. Spreadsheets from before the meta sheet have none (0).
+     */
+    async getSchemaVersion() {
+        return parseInt(await this.getMetaValue(CONFIG.META_KEYS.SCHEMA_VERSION), 10) || 0;
+    }
+
+    /**
+     * Dry run of the migrations this spreadsheet still needs. Every sheet is read once and the
+     * migrations run in order on the copies, so nothing is written yet. Returns
+     * { fromVersion, toVersion, steps: [{ version, description, changes }] } where changes are
+     * human-readable lines.
+     */
+    async planMigrations() {
+        try {
+            const fromVersion = await this.getSchemaVersion();
+            const plan = { fromVersion, toVersion: fromVersion, steps: [] };
+            if (!SheetStore.MIGRATIONS.some(migration => migration.version > fromVersion)) return plan;
+
+            const { steps } = this.runMigrations(fromVersion, await this.readMigrationSheets());
+            plan.steps = steps;
+            plan.toVersion = steps[steps.length - 1].version;
+
+            console.log(`Migrations from version ${fromVersion} to ${plan.toVersion} would change:`, steps.flatMap(step => step.changes));
+            return plan;
+        } catch (error) {
+            console.error('Error planning migrations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Every sheet the migrations work on, by key
+     */
+    async readMigrationSheets() {
+        const sheets = {};
+        for (const [sheetKey, sheetName] of Object.entries(CONFIG.SHEETS)) {
+            if (sheetKey !== 'META') {
+                sheets[sheetKey] = await this.readRange(sheetName);
+            }
+        }
+        return sheets;
+    }
+
+    /**
+     * Run the migrations after fromVersion on the given sheets in place.
+     * Returns { steps, original } with a copy of the sheets from before.
+     */
+    runMigrations(fromVersion, sheets) {
+        const original = JSON.parse(JSON.stringify(sheets));
+        const steps = SheetStore.MIGRATIONS
+            .filter(migration => migration.version > fromVersion)
+            .map(migration => ({
+                version: migration.version,
+                description: migration.description,
+                changes: this[migration.method](sheets, migration)
+            }));
+        return { steps, original };
+    }
+
+    /**
+     * Apply a plan from planMigrations. The plan may have waited on a confirmation for a while,
+     * so the sheets are read again and the migrations rerun on what's there now; only the rows
+     * that change are written, from their first changed cell. Nothing is written when another
+     * device has already migrated the spreadsheet.
+     */
+    async applyMigrationPlan(plan) {
+        try {
+            const fromVersion = await this.getSchemaVersion();
+            if (fromVersion >= plan.toVersion) {
+                console.log(`Spreadsheet is already at schema version ${fromVersion}`);
+                return;
+            }
+
+            const sheets = await this.readMigrationSheets();
+            const { original } = this.runMigrations(fromVersion, sheets);
+
+            for (const sheetKey of Object.keys(sheets)) {
+                const data = this.getChangedRows(original[sheetKey], sheets[sheetKey]);
+                if (data.length > 0) {
+                    await this.batchWriteRanges(CONFIG.SHEETS[sheetKey], data);
+                }
+            }
+
+            await this.saveMetaValue(CONFIG.META_KEYS.SCHEMA_VERSION, String(plan.toVersion));
+            console.log(`Migrated spreadsheet from schema version ${fromVersion} to ${plan.toVersion}`);
+        } catch (error) {
+            console.error('Error applying migrations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Writes that turn one copy of a sheet into another: for each row that differs, the row
+     * from its first changed cell on (blanking cells the new row no longer has)
+     */
+    getChangedRows(before, after) {
+        const data = [];
+        for (let rowIndex = 0; rowIndex < Math.max(before.length, after.length); rowIndex++) {
+            const [oldRow, newRow] = [before[rowIndex] || [], after[rowIndex] || []];
+            const width = Math.max(oldRow.length, newRow.length);
+            const values = Array.from({ length: width }, (_, column) => newRow[column] || '');
+            const firstChanged = values.findIndex((value, column) => value !== (oldRow[column] || ''));
+
+            if (firstChanged !== -1) {
+                data.push({ range: cellAddress(firstChanged, rowIndex + 1), values: [values.slice(firstChanged)] });
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Insert a column into a copied sheet at the given position, filling data rows with fill
+     */
+    insertColumn(rows, position, header, fill = '') {
+        rows.forEach((row, index) => {
+            while (row.length < position) row.push('');
+            row.splice(position, 0, index === 0 ? header : (row.some(cell => cell) ? fill : ''));
+        });
+    }
+
+    /**
+     * Migration 1: headers written with a different case (e.g. "difficulty") or the old
+     * grocery "Need" header get the spelling the app looks up (migration.headers, by sheet)
+     */
+    migrateHeaderNames(sheets, migration) {
+        const changes = [];
+
+        Object.entries(sheets).forEach(([sheetKey, rows]) => {
+            if (rows.length === 0 || !migration.headers[sheetKey]) return;
+
+            const knownHeaders = migration.headers[sheetKey];
+
+            const headers = rows[0];
+            headers.forEach((header, index) => {
+                const normalized = (header || '').trim().toLowerCase();
+                let renamed = knownHeaders.find(known => known.toLowerCase() === normalized && known !== header);
+                if (sheetKey === 'GROCERY' && index === 0 && normalized === 'need') renamed = 'Item';
+
+                if (renamed && !headers.includes(renamed)) {
+                    changes.push(`${CONFIG.SHEETS[sheetKey]}: rename "${header}" to "${renamed}"`);
+                    headers[index] = renamed;
+                }
+            });
+        });
+
+        return changes;
+    }
+
+    /**
+     * Migrations 2 and 4: the meal sheets get the columns of migration.columns (by sheet) they're
+     * missing, in their usual positions. Old current rows become pending.
+     */
+    migrateMealColumns(sheets, migration) {
+        const changes = [];
+
+        Object.entries(migration.columns).forEach(([sheetKey, expected]) => {
+            const rows = sheets[sheetKey];
+            if (rows.length === 0) return;
+
+            expected.forEach((header, expectedIndex) => {
+                if (rows[0].includes(header)) return;
+
+                // Right after the nearest earlier expected column that's there, or first
+                const previous = expected.slice(0, expectedIndex).reverse().find(earlier => rows[0].includes(earlier));
+                const position = previous ? rows[0].indexOf(previous) + 1 : 0;
+                this.insertColumn(rows, position, header, sheetKey === 'CURRENT' && header === 'status' ? 'pending' : '');
+                changes.push(`${CONFIG.SHEETS[sheetKey]}: add the "${header}" column`);
+            });
+        });
+
+        return changes;
+    }
+
+    /**
+     * Migration 3: Last Used dates written as MM/DD/YYYY by older versions become the ISO
+     * timestamps written now (midday on that date)
+     */
+    migrateLastUsedDates(sheets) {
+        const rows = sheets.ITEMS;
+        const lastUsedIndex = rows.length > 0 ? rows[0].indexOf('Last Used') : -1;
+        if (lastUsedIndex === -1) return [];
+
+        let converted = 0;
+        rows.slice(1).forEach(row => {
+            const match = (row[lastUsedIndex] || '').trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+            if (!match) return;
+
+            row[lastUsedIndex] = new Date(match[3], match[1] - 1, match[2], 12).toISOString();
+            converted++;
+        });
+
+        return converted > 0 ? [`${CONFIG.SHEETS.ITEMS}: convert ${converted} Last Used date${converted === 1 ? '' : 's'} to timestamps`] : [];
+    }
+
+    /**
+     * Add a header to the first free column of a sheet if it isn't there yet.
+     * Returns the full header row.
+     */
+    async ensureHeader(sheetName, header) {
+        return this.ensureHeaders(sheetName, [header]);
+    }
+
+    /**
+     * Append any of the given headers that are missing, in order, with a single read of the header row
+     */
+    async ensureHeaders(sheetName, requiredHeaders) {
+        try {
+            const headerData = await this.readRange(sheetName, '1:1');
+            const headers = headerData[0] || [];
+            const missingHeaders = requiredHeaders.filter(header => !headers.includes(header));
+            
+            if (missingHeaders.length === 0) {
+                return headers;
+            }
+            
+            await this.writeRange(sheetName, cellAddress(headers.length, 1), [missingHeaders]);
+            console.log(`Added ${missingHeaders.map(header => `"${header}"`).join(', ')} column(s) to ${sheetName}`);
+            
+            return [...headers, ...missingHeaders];
+        } catch (error) {
+            console.error(`Error ensuring headers ${requiredHeaders.join(', ')} in ${sheetName}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply the fixes the schema check suggested for one sheet (see SchemaValidator.validate):
+     * renamed headers, added headers, then single cells
+     */
+    async applySchemaFixes(sheetName, fixes) {
+        try {
+            const renames = fixes.filter(fix => fix.type === 'rename');
+            if (renames.length > 0) {
+                const headers = [...((await this.readRange(sheetName, '1:1'))[0] || [])];
+                renames.forEach(fix => { headers[fix.column] = fix.header; });
+                await this.writeRange(sheetName, 'A1', [headers]);
+            }
+
+            const addedHeaders = fixes.filter(fix => fix.type === 'add').map(fix => fix.header);
+            if (addedHeaders.length > 0) {
+                await this.ensureHeaders(sheetName, addedHeaders);
+            }
+
+            const cells = fixes
+                .filter(fix => fix.type === 'cell')
+                .map(fix => ({ range: cellAddress(fix.column, fix.row + 1), values: [[fix.value]] }));
+            if (cells.length > 0) {
+                await this.batchWriteRanges(sheetName, cells);
+            }
+
+            console.log(`Applied ${fixes.length} fix(es) to ${sheetName}`);
+        } catch (error) {
+            console.error(`Error repairing ${sheetName}:`, error);
+            throw error;
+        }
+    }
+
+    async updateLastUsed(itemName, date) {
+        return this.updateLastUsedBatch({ [itemName]: date });
+    }
+
+    /**
+     * Set Last Used for several items with one read of the items sheet and one write.
+     * updates maps item name to timestamp, as a Map or a plain object.
+     */
+    async updateLastUsedBatch(updates) {
+        const dates = updates instanceof Map ? updates : new Map(Object.entries(updates));
+        if (dates.size === 0) return;
+
+        try {
+            const updatedCount = await this.updateRecords(CONFIG.SHEETS.ITEMS, [...dates].map(([itemName, date]) => ({
+                match: { Item: itemName },
+                fields: { 'Last Used': date }
+            })));
+            console.log(`Updated Last Used for ${updatedCount} item(s)`);
+        } catch (error) {
+            console.error('Error updating last used date:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remember the current-sheet row a meal was loaded from or saved as, so a later save can
+     * tell this device's changes from another device's. Returns the meal.
+     */
+    markMealSynced(meal, row) {
+        meal.syncedRow = this.pickCurrentMealFields(row);
+        meal.updated = row.updated || '';
+        return meal;
+    }
+
+    /**
+     * The fields of a current-sheet row that merging compares
+     */
+    pickCurrentMealFields(row) {
+        const fields = {};
+        SheetStore.CURRENT_MEAL_FIELDS.forEach(field => {
+            fields[field] = row[field] || '';
+        });
+        return fields;
+    }
+
+    /**
+     * Three-way merge of a meal's row: what this device last synced, what it wants to save and
+     * what the sheet has now. Unchanged rows (same stamp) are simply saved. Otherwise each field
+     * takes whichever side changed it; fields both sides changed differently are conflicts and
+     * keep the local value. Returns { record, conflictingFields, tookRemote }.
+     */
+    mergeMealRecord(meal, local, remote) {
+        const base = meal.syncedRow;
+        if (!base || (remote.updated || '') === (meal.updated || '')) {
+            return { record: local, conflictingFields: [], tookRemote: false };
+        }
+
+        const record = {};
+        const conflictingFields = [];
+        let tookRemote = false;
+        SheetStore.CURRENT_MEAL_FIELDS.forEach(field => {
+            const [baseValue, localValue, remoteValue] = [base[field] || '', local[field] || '', remote[field] || ''];
+            if (localValue === remoteValue || remoteValue === baseValue) {
+                record[field] = localValue;
+            } else if (localValue === baseValue) {
+                record[field] = remoteValue;
+                tookRemote = true;
+            } else {
+                record[field] = localValue;
+                conflictingFields.push(field);
+            }
+        });
+
+        return { record, conflictingFields, tookRemote };
+    }
+
+    /**
+     * Save the given meals to the current sheet. Rows another device changed since these meals
+     * were loaded are merged field by field. When both changed the same field it throws an error
+     * with conflicts ([{ mealName, profile, fields, remote }]) and writes nothing, unless
+     * options.overwrite keeps this device's values. With profiles, the meals replace those
+     * profiles' whole day; otherwise today's rows that aren't among them (e.g. a meal another
+     * device added) are kept. Returns { merged: names of meals that took changes from the other device }.
+     */
+    async saveCurrentMeals(meals, profiles = null, options = {}) {
+        try {
+            if (!profiles && await this.isReadingFromCache()) {
+                return await this.queueCurrentMealChanges(meals);
+            }
+            
+            const savedProfiles = profiles || [...new Set(meals.map(meal => meal.profile || ''))];
+            const currentRows = await this.getCurrentMeals();
+            
+            const today = getTodayString();
+            const timestamp = new Date().toISOString();
+            const conflicts = [];
+            const merged = [];
+            const savedRows = new Map(); // sheet row -> the record saved over it
+            
+            const records = meals.map(meal => {
+                const local = { ...this.mealToRecord(meal, today), status: meal.status || 'pending' };
+                const remote = currentRows.find(row =>
+                    (row.profile || '') === local.profile && row['meal name'] === local['meal name']
+                );
+                if (!remote) return { ...local, updated: timestamp };
+                
+                const { record, conflictingFields, tookRemote } = this.mergeMealRecord(meal, local, remote);
+                if (conflictingFields.length > 0) {
+                    conflicts.push({ mealName: local['meal name'], profile: local.profile, fields: conflictingFields, remote });
+                }
+                if (tookRemote) merged.push(local['meal name']);
+                
+                // Only rows whose content changes get a new stamp
+                const unchanged = SheetStore.CURRENT_MEAL_FIELDS.every(field => (record[field] || '') === (remote[field] || ''));
+                const saved = { ...record, updated: unchanged ? (remote.updated || '') : timestamp };
+                savedRows.set(remote, saved);
+                return saved;
+            });
+            
+            if (conflicts.length > 0 && !options.overwrite) {
+                const error = new Error(`Changed on another device: ${conflicts.map(conflict => conflict.mealName).join(', ')}`);
+                error.conflicts = conflicts;
+                throw error;
+            }
+            
+            const otherProfileRows = currentRows.filter(row => !savedProfiles.includes(row.profile || ''));
+            const rows = profiles ? [...otherProfileRows, ...records] : [
+                // Saved meals stay where they were; today's rows they don't cover are kept
+                ...currentRows
+                    .filter(row => !savedProfiles.includes(row.profile || '') || savedRows.has(row) || row.date === today)
+                    .map(row => savedRows.get(row) || row),
+                ...records.filter(record => ![...savedRows.values()].includes(record))
+            ];
+            
+            await this.writeRecords(CONFIG.SHEETS.CURRENT, rows);
+            meals.forEach((meal, index) => this.markMealSynced(meal, records[index]));
+            
+            if (merged.length > 0) {
+                console.log(`Merged changes from another device into: ${merged.join(', ')}`);
+            }
+            return { merged };
+        } catch (error) {
+            console.error('Error saving current meals:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save meals without the real sheet to merge with (see isReadingFromCache): only the fields
+     * this device changed since each meal was synced are written, keyed by date, meal and
+     * profile, and new meals are appended. Nothing else is rewritten, so when the writes sync,
+     * other devices' rows stay and a field they changed in the meantime keeps their value.
+     */
+    async queueCurrentMealChanges(meals) {
+        const currentRows = await this.getCurrentMeals();
+        const today = getTodayString();
+        const timestamp = new Date().toISOString();
+        const updates = [];
+        const newRecords = [];
+        
+        meals.forEach(meal => {
+            const local = { ...this.mealToRecord(meal, today), status: meal.status || 'pending' };
+            const match = { date: today, 'meal name': local['meal name'], profile: local.profile };
+            const row = currentRows.find(row => this.recordMatches(row, match));
+            if (!row) {
+                newRecords.push({ ...local, updated: timestamp });
+                this.markMealSynced(meal, newRecords[newRecords.length - 1]);
+                return;
+            }
+            
+            const base = meal.syncedRow || this.pickCurrentMealFields(row);
+            const changedFields = SheetStore.CURRENT_MEAL_FIELDS.filter(field => (local[field] || '') !== (base[field] || ''));
+            if (changedFields.length === 0) return;
+            
+            const fields = { updated: timestamp };
+            changedFields.forEach(field => { fields[field] = local[field] || ''; });
+            updates.push({ match, fields, base: this.pickCurrentMealFields(base) });
+            this.markMealSynced(meal, { ...row, ...fields });
+        });
+        
+        await this.updateRecords(CONFIG.SHEETS.CURRENT, updates);
+        await this.appendRecords(CONFIG.SHEETS.CURRENT, newRecords);
+        console.log(`Queued changes to ${updates.length + newRecords.length} meal(s) to merge when back online`);
+        return { merged: [] };
+    }
+
+    async addMealToHistory(meal) {
+        try {
+            // Create history row from meal object, falling back to today if it has no date
+            const record = this.mealToRecord(meal, meal.date || getTodayString());
+            
+            // Ratings line up with the item columns
+            (meal.ratings || []).slice(0, 4).forEach((rating, i) => {
+                record[`rating ${i + 1}`] = rating || '';
+            });
+
+            await this.appendRecords(CONFIG.SHEETS.HISTORY, [record]);
+            console.log(`Added meal "${meal.name}" to history`);
+        } catch (error) {
+            console.error('Error adding meal to history:', error);
+            throw error;
+        }
+    }
+
+    async moveCompletedToHistory() {
+        try {
+            const currentMeals = await this.getCurrentMeals();
+            if (currentMeals.length === 0) return;
+
+            // Filter only completed meals
+            const completedMeals = currentMeals.filter(meal => meal.status === 'completed');
+            if (completedMeals.length === 0) {
+                console.log('No completed meals to move to history');
+                return;
+            }
+
+            await this.appendCurrentMealsToHistory(completedMeals);
+            console.log(`Moved ${completedMeals.length} completed meals to history`);
+            
+            // Remove completed meals from current
+            const remainingMeals = currentMeals.filter(meal => meal.status !== 'completed');
+            
+            // Clear current sheet first
+            await this.clearSheet(CONFIG.SHEETS.CURRENT);
+            
+            // Save remaining meals back to current sheet if any exist
+            if (remainingMeals.length > 0) {
+                await this.saveCurrentMeals(remainingMeals);
+            }
+        } catch (error) {
+            console.error('Error moving completed meals to history:', error);
+            throw error;
+        }
+    }
+
+    async moveCurrentToHistory() {
+        try {
+            const currentMeals = await this.getCurrentMeals();
+            if (currentMeals.length === 0) return;
+
+            await this.appendCurrentMealsToHistory(currentMeals);
+            
+            // Clear current
+            await this.clearSheet(CONFIG.SHEETS.CURRENT);
+        } catch (error) {
+            console.error('Error moving current to history:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Copy rows of the current sheet into history. Current meals already have their date, so
+     * they're used directly; skipped ones keep their status so the stats can count skips.
+     */
+    async appendCurrentMealsToHistory(currentMeals) {
+        await this.appendRecords(CONFIG.SHEETS.HISTORY, currentMeals.map(meal => {
+            const record = {};
+            ['date', 'meal name', 'item 1', 'item 2', 'item 3', 'item 4', 'profile'].forEach(field => {
+                record[field] = meal[field] || '';
+            });
+            if (meal.status === 'skipped') record.status = 'skipped';
+            return record;
+        }));
+    }
+
+    async deleteItem(itemName) {
+        return this.deleteItems([itemName]);
+    }
+
+    /**
+     * Delete several items, bottom row first so earlier deletions don't shift the later rows
+     */
+    async deleteItems(itemNames) {
+        try {
+            // Get all items to find the rows
+            const { rows } = await this.readTable(CONFIG.SHEETS.ITEMS);
+
+            const rowsToDelete = itemNames.map(itemName => {
+                const row = rows.find(row => row.record.Item === itemName);
+                if (!row) {
+                    throw new Error(`Item "${itemName}" not found`);
+                }
+                return row;
+            });
+
+            for (const row of rowsToDelete.sort((a, b) => b.rowNumber - a.rowNumber)) {
+                await this.deleteRow(CONFIG.SHEETS.ITEMS, row.rowNumber, { Item: row.record.Item });
+            }
+            
+            console.log(`Successfully deleted item(s): ${itemNames.join(', ')}`);
+            return true;
+        } catch (error) {
+            console.error('Error deleting item:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record what an action is about to change so restoreUndoSnapshot can put it back.
+     * what is { meals: [today's meals whose current-sheet rows change], history: true when those
+     * meals are added to history, grocery: [item names added to the grocery list],
+     * lastUsed: [item names], items: [item names whose rows are kept] }.
+     * Call completeUndoSnapshot once the action has saved the meals.
+     */
+    async captureUndoSnapshot(what) {
+        try {
+            const snapshot = { meals: [], history: !!what.history, grocery: new Map(), lastUsed: new Map(), items: [] };
+
+            if ((what.meals || []).length > 0) {
+                const currentRows = await this.getCurrentMeals();
+                snapshot.meals = what.meals.map(meal => {
+                    const match = { date: getTodayString(), 'meal name': meal.name, profile: meal.profile || '' };
+                    const row = currentRows.find(row => this.recordMatches(row, match));
+                    return { meal, match, before: row ? this.pickCurrentMealFields(row) : null, after: null };
+                });
+            }
+
+            if ((what.grocery || []).length > 0) {
+                const entries = await this.getGroceryEntries();
+                what.grocery.forEach(itemName => {
+                    snapshot.grocery.set(itemName, entries.find(entry => entry.Item.toLowerCase() === itemName.toLowerCase()) || null);
+                });
+            }
+
+            const itemNames = [...(what.lastUsed || []), ...(what.items || [])];
+            if (itemNames.length > 0) {
+                const items = await this.getItems();
+                const findItem = itemName => items.find(item => item.Item === itemName);
+
+                (what.lastUsed || []).forEach(itemName => {
+                    const item = findItem(itemName);
+                    if (item && item['Last Used'] !== undefined) snapshot.lastUsed.set(itemName, item['Last Used']);
+                });
+
+                snapshot.items = (what.items || []).map(findItem).filter(item => item);
+            }
+
+            return snapshot;
+        } catch (error) {
+            console.error('Error capturing undo snapshot:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Note what the action saved for each meal (the row it was synced to), so undoing only
+     * reverts fields nobody has changed since
+     */
+    completeUndoSnapshot(snapshot) {
+        snapshot.meals.forEach(entry => {
+            entry.after = entry.meal.syncedRow ? { ...entry.meal.syncedRow } : null;
+            delete entry.meal;
+        });
+    }
+
+    /**
+     * Put back everything a snapshot from captureUndoSnapshot recorded. Each meal's row gets its
+     * earlier values back for the fields still as the action left them - another device's edits
+     * since then are kept - with a new stamp so other devices merge it like any edit. The history
+     * rows the action added are removed by date, meal and profile, grocery entries it added are
+     * taken off again, deleted items are appended again and Last Used values are restored.
+     */
+    async restoreUndoSnapshot(snapshot) {
+        try {
+            const currentRows = snapshot.meals.length > 0 ? await this.getCurrentMeals() : [];
+            const timestamp = new Date().toISOString();
+            const mealUpdates = [];
+            snapshot.meals.forEach(({ match, before, after }) => {
+                const row = currentRows.find(row => this.recordMatches(row, match));
+                if (!row || !before) return;
+
+                const fields = {};
+                SheetStore.CURRENT_MEAL_FIELDS.forEach(field => {
+                    const now = row[field] || '';
+                    if (now === before[field]) return;
+                    if (after && now !== after[field]) {
+                        console.log(`Keeping ${match['meal name']} ${field} as changed on another device`);
+                        return;
+                    }
+                    fields[field] = before[field];
+                });
+                if (Object.keys(fields).length > 0) {
+                    mealUpdates.push({ match, fields: { ...fields, updated: timestamp } });
+                }
+            });
+            await this.updateRecords(CONFIG.SHEETS.CURRENT, mealUpdates);
+
+            if (snapshot.history) {
+                for (const { match } of snapshot.meals) {
+                    await this.removeHistoryEntry(match);
+                }
+            }
+
+            const addedToGrocery = [...snapshot.grocery].filter(([, entry]) => !entry).map(([itemName]) => itemName);
+            if (addedToGrocery.length > 0) {
+                await this.removeGroceryItems(addedToGrocery);
+            }
+            for (const entry of [...snapshot.grocery.values()].filter(entry => entry && entry.Bought === 'y')) {
+                await this.setGroceryBought(entry.Item, true);
+            }
+
+            if (snapshot.items.length > 0) {
+                const existingNames = (await this.getItems()).map(item => item.Item);
+                await this.appendRecords(CONFIG.SHEETS.ITEMS, snapshot.items.filter(item => !existingNames.includes(item.Item)));
+            }
+
+            await this.updateLastUsedBatch(snapshot.lastUsed);
+            console.log('Restored undo snapshot');
+        } catch (error) {
+            console.error('Error restoring undo snapshot:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete the latest history row for a meal, matched by date, meal name and profile
+     */
+    async removeHistoryEntry(match) {
+        const { rows } = await this.readTable(CONFIG.SHEETS.HISTORY);
+        const row = rows.filter(row => this.recordMatches(row.record, match)).pop();
+        if (!row) {
+            console.warn(`No history entry for ${match['meal name']} on ${match.date} to remove`);
+            return;
+        }
+        await this.deleteRow(CONFIG.SHEETS.HISTORY, row.rowNumber, row.record);
+    }
+
+    /**
+     * An item's fields as written to the items sheet. Anything left undefined is skipped, so
+     * an update keeps its current value. categories is a list of names or maps name to true/false.
+     */
+    getItemFields(itemData) {
+        const fields = {
+            Item: itemData.name,
+            Tags: itemData.tags,
+            Difficulty: itemData.difficulty,
+            Allergens: itemData.allergens,
+            'Cooldown Days': itemData.cooldownDays,
+            ...(itemData.nutrients || {})
+        };
+        
+        const categories = Array.isArray(itemData.categories) ?
+            Object.fromEntries(itemData.categories.map(category => [category, true])) : (itemData.categories || {});
+        Object.entries(categories).forEach(([category, included]) => {
+            fields[category] = included ? 'y' : '';
+        });
+        
+        return fields;
+    }
+
+    async updateItem(itemName, itemData) {
+        return this.updateItems([{ ...itemData, originalName: itemName }]);
+    }
+
+    /**
+     * Edit existing items in place, writing only the changed fields in a single batch.
+     * Each update is { originalName, name, categories, tags, difficulty, allergens, cooldownDays, nutrients }:
+     * categories maps category name to true/false, nutrients maps column to amount,
+     * and anything left undefined keeps its current value (Last Used is never touched).
+     */
+    async updateItems(updates) {
+        if (updates.length === 0) return;
+
+        try {
+            const items = await this.getItems();
+
+            updates.forEach(update => {
+                const item = items.find(item => item.Item === update.originalName);
+                if (!item) {
+                    throw new Error(`Item "${update.originalName}" not found`);
+                }
+                
+                // Renaming must not collide with another item
+                if (update.name !== undefined && update.name.toLowerCase() !== update.originalName.toLowerCase()) {
+                    const taken = items.some(other => other !== item && (other.Item || '').toLowerCase() === update.name.toLowerCase());
+                    if (taken) {
+                        throw new Error(`An item named "${update.name}" already exists`);
+                    }
+                }
+            });
+
+            await this.updateRecords(CONFIG.SHEETS.ITEMS, updates.map(update => ({
+                match: { Item: update.originalName },
+                fields: this.getItemFields(update)
+            })));
+            console.log(`Updated ${updates.length} item(s)`);
+            
+            const renames = new Map(updates
+                .filter(update => update.name !== undefined && update.name !== update.originalName)
+                .map(update => [update.originalName, update.name]));
+            await this.renameItemReferences(renames);
+            return true;
+        } catch (error) {
+            console.error('Error updating items:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Point everything that refers to items by name at their new names: the Excluded Items
+     * settings (so an excluded item stays excluded), today's meals, the plan and the grocery
+     * list. History keeps the names the meals were served under. renames maps old name to new.
+     */
+    async renameItemReferences(renames) {
+        if (renames.size === 0) return;
+
+        const renamed = name => {
+            const entry = [...renames].find(([oldName]) => oldName.toLowerCase() === (name || '').toLowerCase());
+            return entry ? entry[1] : null;
+        };
+
+        try {
+            const settingUpdates = (await this.readRecords(CONFIG.SHEETS.SETTINGS))
+                .filter(row => row.Setting === CONFIG.SETTING_KEYS.EXCLUDED_ITEMS && parseListCell(row.Value).some(renamed))
+                .map(row => ({
+                    match: { Setting: row.Setting, Profile: row.Profile || '' },
+                    fields: { Value: parseListCell(row.Value).map(name => renamed(name) || name).join(', ') }
+                }));
+            await this.updateRecords(CONFIG.SHEETS.SETTINGS, settingUpdates);
+
+            // Renamed meal items get a new stamp so other devices merge them rather than save over them
+            const timestamp = new Date().toISOString();
+            for (const sheetName of [CONFIG.SHEETS.CURRENT, CONFIG.SHEETS.PLAN]) {
+                const mealUpdates = [];
+                (await this.readRecords(sheetName)).forEach(row => {
+                    const fields = {};
+                    [1, 2, 3, 4].filter(i => renamed(row[`item ${i}`])).forEach(i => {
+                        fields[`item ${i}`] = renamed(row[`item ${i}`]);
+                    });
+                    if (Object.keys(fields).length === 0) return;
+
+                    if (sheetName === CONFIG.SHEETS.CURRENT) fields.updated = timestamp;
+                    mealUpdates.push({ match: { date: row.date, 'meal name': row['meal name'], profile: row.profile || '' }, fields });
+                });
+                await this.updateRecords(sheetName, mealUpdates);
+            }
+
+            const groceryUpdates = (await this.getGroceryEntries())
+                .filter(entry => renamed(entry.Item))
+                .map(entry => ({ match: { Item: entry.Item }, fields: { Item: renamed(entry.Item) } }));
+            await this.updateRecords(CONFIG.SHEETS.GROCERY, groceryUpdates);
+
+            console.log(`Renamed ${renames.size} item(s) in settings, meals, plan and grocery list`);
+        } catch (error) {
+            console.error('Error renaming item references:', error);
+            throw error;
+        }
+    }
+
+    async addItem(itemData) {
+        try {
+            // Check for duplicate item names
+            const existingItemNames = (await this.getItems()).map(item => (item.Item || '').toLowerCase());
+            if (existingItemNames.includes(itemData.name.toLowerCase())) {
+                throw new Error(`An item named "${itemData.name}" already exists`);
+            }
+            
+            // Append the new item. Older sheets may predate the Allergens, Tags or nutrition columns,
+            // and a newly configured category may not have its column yet - they're added rather than dropped
+            await this.appendRecords(CONFIG.SHEETS.ITEMS, [{
+                ...this.getItemFields(itemData),
+                Difficulty: itemData.difficulty || '1',
+                'Last Used': 'never'
+            }]);
+            console.log(`Successfully added item: ${itemData.name}`);
+            
+            return true;
+        } catch (error) {
+            console.error('Error adding item:', error);
+            throw error;
+        }
+    }
+}
+
+// Schema migrations, oldest first. Each upgrades a spreadsheet from the previous version;
+// the method gets copies of every sheet by key and its migration, changes the copies and
+// returns what it changed. Layouts are spelled out per migration rather than taken from
+// CONFIG.DUMMY_DATA, so a version always does the same thing however the layout moves on.
+// Bump CONFIG.SCHEMA_VERSION when adding one.
+SheetStore.MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fix the spelling of column headers',
+        method: 'migrateHeaderNames',
+        headers: {
+            ITEMS: ['Item', 'Carb', 'Protein', 'Fruit', 'Veggie', 'Tags', 'Difficulty', 'Last Used', 'Allergens', 'Cooldown Days',
+                'Calories', 'Protein (g)', 'Iron (mg)', 'Calcium (mg)', 'Fiber (g)'],
+            SCHEDULE: ['Name', 'Time', 'Carb', 'Protein', 'Fruit', 'Veggie', 'Profile', 'Days', 'Prep Budget'],
+            GROCERY: ['Item'],
+            CURRENT: ['date', 'meal name', 'status', 'item 1', 'item 2', 'item 3', 'item 4', 'profile'],
+            HISTORY: ['date', 'meal name', 'item 1', 'item 2', 'item 3', 'item 4', 'profile', 'rating 1', 'rating 2', 'rating 3', 'rating 4', 'status'],
+            PLAN: ['date', 'meal name', 'item 1', 'item 2', 'item 3', 'item 4', 'profile'],
+            SETTINGS: ['Setting', 'Value', 'Profile'],
+            PROFILES: ['Name'],
+            CATEGORIES: ['Category', 'Color']
+        }
+    },
+    {
+        version: 2,
+        description: 'Add the status, profile and rating columns to the meal sheets',
+        method: 'migrateMealColumns',
+        columns: {
+            CURRENT: ['date', 'meal name', 'status', 'item 1', 'item 2', 'item 3', 'item 4', 'profile'],
+            HISTORY: ['date', 'meal name', 'item 1', 'item 2', 'item 3', 'item 4', 'profile', 'rating 1', 'rating 2', 'rating 3', 'rating 4', 'status'],
+            PLAN: ['date', 'meal name', 'item 1', 'item 2', 'item 3', 'item 4', 'profile']
+        }
+    },
+    { version: 3, description: 'Store Last Used as timestamps', method: 'migrateLastUsedDates' },
+    {
+        version: 4,
+        description: 'Add the last-modified column to the current sheet',
+        method: 'migrateMealColumns',
+        columns: {
+            CURRENT: ['date', 'meal name', 'status', 'item 1', 'item 2', 'item 3', 'item 4', 'profile', 'updated']
+        }
+    }
+];
+
+// Fields of a current meal compared when merging edits from two devices (everything but the stamp)
+SheetStore.CURRENT_MEAL_FIELDS = CONFIG.DUMMY_DATA.CURRENT[0].filter(header => header !== 'updated');
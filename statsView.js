@@ -0,0 +1,295 @@
+// Stats View - variety and repetition figures computed from history and items
+class StatsView {
+    constructor() {
+        this.isOpen = false;
+        this.history = [];
+    }
+
+    async open() {
+        this.isOpen = true;
+        app.showView('statsView');
+        await this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        app.showView('dashboardView');
+    }
+
+    async render() {
+        try {
+            app.showLoading('Crunching numbers...');
+
+            await mealGenerator.loadData();
+            this.history = mealGenerator.getMealHistory();
+
+            const container = document.getElementById('statsContent');
+            container.innerHTML = '';
+
+            if (this.history.length === 0) {
+                container.innerHTML = '<div class="library-empty">No meals in the history yet. Stats appear once meals are completed.</div>';
+            } else {
+                container.appendChild(this.renderSummary());
+                container.appendChild(this.renderServedCounts());
+                container.appendChild(this.renderNeverServed());
+                container.appendChild(this.renderCategoryBalance());
+                container.appendChild(this.renderStreaks());
+                container.appendChild(this.renderSkipRates());
+            }
+
+            app.hideLoading();
+        } catch (error) {
+            console.error('Error rendering stats:', error);
+            app.hideLoading();
+
+            if (error.message && error.message.includes('Authentication required')) {
+                app.handleAuthError(error);
+            } else {
+                app.showError('Failed to load stats. Please try again.');
+            }
+        }
+    }
+
+    getServedRows() {
+        return this.history.filter(row => row.status !== 'skipped');
+    }
+
+    getItemNames(row) {
+        return [1, 2, 3, 4].map(i => row[`item ${i}`]).filter(itemName => itemName);
+    }
+
+    /**
+     * Times each item was served in the last number of days (today included)
+     */
+    countServings(days) {
+        const since = addDays(parseDateString(getTodayString()), -(days - 1));
+        const counts = new Map();
+
+        this.getServedRows()
+            .filter(row => parseDateString(row.date) >= since)
+            .forEach(row => {
+                this.getItemNames(row).forEach(itemName => {
+                    counts.set(itemName, (counts.get(itemName) || 0) + 1);
+                });
+            });
+
+        return counts;
+    }
+
+    /**
+     * Longest run of consecutive days each item was served, longest first
+     */
+    getRepeatStreaks() {
+        const datesByItem = new Map();
+        this.getServedRows().forEach(row => {
+            this.getItemNames(row).forEach(itemName => {
+                if (!datesByItem.has(itemName)) datesByItem.set(itemName, new Set());
+                datesByItem.get(itemName).add(row.date);
+            });
+        });
+
+        const streaks = [];
+        datesByItem.forEach((dateStrings, itemName) => {
+            const dates = [...dateStrings].map(parseDateString).sort((a, b) => a - b);
+            let best = { length: 1, start: dates[0], end: dates[0] };
+            let current = { ...best };
+
+            for (let i = 1; i < dates.length; i++) {
+                if (formatDateString(addDays(dates[i - 1], 1)) === formatDateString(dates[i])) {
+                    current = { length: current.length + 1, start: current.start, end: dates[i] };
+                } else {
+                    current = { length: 1, start: dates[i], end: dates[i] };
+                }
+                if (current.length > best.length) best = current;
+            }
+
+            streaks.push({ itemName, ...best });
+        });
+
+        return streaks.sort((a, b) => b.length - a.length || b.end - a.end);
+    }
+
+    createSection(title, hint = '') {
+        const section = document.createElement('div');
+        section.className = 'stats-section';
+
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        section.appendChild(heading);
+
+        if (hint) {
+            const hintElement = document.createElement('div');
+            hintElement.className = 'settings-hint';
+            hintElement.textContent = hint;
+            section.appendChild(hintElement);
+        }
+
+        return section;
+    }
+
+    createTable(headers, rows) {
+        const table = document.createElement('table');
+        table.className = 'stats-table';
+
+        const headerRow = document.createElement('tr');
+        headers.forEach(header => {
+            const cell = document.createElement('th');
+            cell.textContent = header;
+            headerRow.appendChild(cell);
+        });
+        table.appendChild(headerRow);
+
+        rows.forEach(values => {
+            const row = document.createElement('tr');
+            values.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+
+        return table;
+    }
+
+    renderSummary() {
+        const section = this.createSection('Last 7 days');
+        const counts = this.countServings(7);
+        const servings = [...counts.values()].reduce((sum, count) => sum + count, 0);
+
+        const summary = document.createElement('p');
+        summary.className = 'stats-summary';
+        summary.textContent = servings === 0 ? 'Nothing served in the last 7 days.' :
+            `${counts.size} different food${counts.size === 1 ? '' : 's'} across ${servings} serving${servings === 1 ? '' : 's'} ` +
+            `(${Math.round(counts.size / servings * 100)}% variety - 100% means nothing was repeated).`;
+        section.appendChild(summary);
+
+        return section;
+    }
+
+    renderServedCounts() {
+        const section = this.createSection('How often each item was served');
+        const lastWeek = this.countServings(7);
+        const lastMonth = this.countServings(30);
+
+        const rows = [...lastMonth.keys()]
+            .sort((a, b) => lastMonth.get(b) - lastMonth.get(a) || a.localeCompare(b))
+            .map(itemName => [itemName, lastWeek.get(itemName) || 0, lastMonth.get(itemName)]);
+
+        if (rows.length === 0) {
+            section.appendChild(this.createEmptyNote('Nothing served in the last 30 days.'));
+        } else {
+            section.appendChild(this.createTable(['Item', 'Last 7 days', 'Last 30 days'], rows));
+        }
+        return section;
+    }
+
+    renderNeverServed() {
+        const section = this.createSection('Never served', 'Items in your library that have never been part of a completed meal');
+        const served = new Set(this.getServedRows().flatMap(row => this.getItemNames(row)));
+        const neverServed = mealGenerator.items
+            .map(item => item.Item)
+            .filter(itemName => !served.has(itemName))
+            .sort((a, b) => a.localeCompare(b));
+
+        if (neverServed.length === 0) {
+            section.appendChild(this.createEmptyNote('Every item has been served at least once.'));
+        } else {
+            const list = document.createElement('div');
+            list.className = 'item-tags';
+            neverServed.forEach(itemName => {
+                const tag = document.createElement('span');
+                tag.className = 'library-tag';
+                tag.textContent = itemName;
+                list.appendChild(tag);
+            });
+            section.appendChild(list);
+        }
+        return section;
+    }
+
+    renderCategoryBalance() {
+        const section = this.createSection('Category balance per week', 'Servings of each category over the last four weeks (Monday to Sunday)');
+        const categories = mealGenerator.getCategories();
+        const itemsByName = new Map(mealGenerator.items.map(item => [item.Item, item]));
+
+        const thisWeek = weekView.getWeekStart(new Date());
+        const rows = [];
+        for (let weeksAgo = 3; weeksAgo >= 0; weeksAgo--) {
+            const weekStart = addDays(thisWeek, -7 * weeksAgo);
+            const weekEnd = addDays(weekStart, 7);
+            const counts = categories.map(() => 0);
+
+            this.getServedRows()
+                .filter(row => parseDateString(row.date) >= weekStart && parseDateString(row.date) < weekEnd)
+                .forEach(row => {
+                    this.getItemNames(row).forEach(itemName => {
+                        const item = itemsByName.get(itemName);
+                        if (!item) return;
+                        categories.forEach((category, index) => {
+                            if (item[category] === 'y') counts[index]++;
+                        });
+                    });
+                });
+
+            const label = weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+            rows.push([weeksAgo === 0 ? `${label} (this week)` : label, ...counts]);
+        }
+
+        section.appendChild(this.createTable(['Week of', ...categories], rows));
+        return section;
+    }
+
+    renderStreaks() {
+        const section = this.createSection('Longest repeat streaks', 'The same item served on consecutive days');
+        const streaks = this.getRepeatStreaks().filter(streak => streak.length >= 2).slice(0, StatsView.MAX_STREAKS);
+        const dateLabel = date => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+        if (streaks.length === 0) {
+            section.appendChild(this.createEmptyNote('No item has been served two days in a row.'));
+        } else {
+            section.appendChild(this.createTable(['Item', 'Days in a row', 'When'], streaks.map(streak => [
+                streak.itemName,
+                streak.length,
+                `${dateLabel(streak.start)} - ${dateLabel(streak.end)}`
+            ])));
+        }
+        return section;
+    }
+
+    renderSkipRates() {
+        const section = this.createSection('Skipped meals', 'Share of each scheduled meal that was skipped. Skips are recorded when the day rolls over.');
+        const slots = new Map();
+
+        this.history.forEach(row => {
+            const slot = slots.get(row['meal name']) || { completed: 0, skipped: 0 };
+            slot[row.status === 'skipped' ? 'skipped' : 'completed']++;
+            slots.set(row['meal name'], slot);
+        });
+
+        // Schedule order first, then meals no longer on the schedule
+        const mealNames = [...new Set([
+            ...mealGenerator.getScheduleForProfile().map(scheduledMeal => scheduledMeal.Name),
+            ...slots.keys()
+        ])].filter(mealName => slots.has(mealName));
+
+        section.appendChild(this.createTable(['Meal', 'Completed', 'Skipped', 'Skip rate'], mealNames.map(mealName => {
+            const slot = slots.get(mealName);
+            return [mealName, slot.completed, slot.skipped, `${Math.round(slot.skipped / (slot.completed + slot.skipped) * 100)}%`];
+        })));
+        return section;
+    }
+
+    createEmptyNote(message) {
+        const note = document.createElement('div');
+        note.className = 'settings-hint';
+        note.textContent = message;
+        return note;
+    }
+}
+
+// Streaks listed in the repeat streaks table
+StatsView.MAX_STREAKS = 5;
+
+// Create global instance
+const statsView = new StatsView();
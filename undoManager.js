@@ -0,0 +1,63 @@
+// Undo Manager - a stack of recent actions, each with a snapshot of what it changed
+class UndoManager {
+    constructor() {
+        this.actions = []; // Oldest first, { label, snapshot, date }
+    }
+
+    /**
+     * Snapshot what an action is about to change (see SheetStore.captureUndoSnapshot).
+     * Take it before the action runs, then push() it once the action succeeded and saved.
+     */
+    async capture(what) {
+        return sheetsAPI.captureUndoSnapshot(what);
+    }
+
+    push(label, snapshot) {
+        sheetsAPI.completeUndoSnapshot(snapshot);
+        this.actions.push({ label, snapshot, date: getTodayString() });
+
+        if (this.actions.length > UndoManager.MAX_ACTIONS) {
+            this.actions.shift();
+        }
+        console.log(`Undoable action: ${label} (${this.actions.length} on the stack)`);
+    }
+
+    canUndo() {
+        return this.actions.length > 0;
+    }
+
+    /**
+     * Restore the most recent action's snapshot. Returns its label, or null if there's
+     * nothing to undo. Actions from an earlier day are dropped - the day rollover has
+     * moved on from the meals they'd bring back.
+     */
+    async undo() {
+        if (this.actions.length > 0 && this.actions[this.actions.length - 1].date !== getTodayString()) {
+            console.log('Dropping undo actions from an earlier day');
+            this.clear();
+        }
+
+        const action = this.actions.pop();
+        if (!action) return null;
+
+        try {
+            await sheetsAPI.restoreUndoSnapshot(action.snapshot);
+            console.log(`Undid: ${action.label}`);
+            return action.label;
+        } catch (error) {
+            console.error(`Error undoing ${action.label}:`, error);
+            this.actions.push(action); // Still there to retry
+            throw error;
+        }
+    }
+
+    clear() {
+        this.actions = [];
+    }
+}
+
+// Actions kept on the stack
+UndoManager.MAX_ACTIONS = 20;
+
+// Create global instance
+const undoManager = new UndoManager();
@@ -0,0 +1,322 @@
+// Weekly Plan View - days × schedule meals grid
+class WeekView {
+    constructor() {
+        this.weekStart = this.getWeekStart(new Date());
+        this.isOpen = false;
+        this.plan = [];
+        this.history = [];
+    }
+
+    /**
+     * Weeks run Monday to Sunday
+     */
+    getWeekStart(date) {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const daysSinceMonday = (start.getDay() + 6) % 7;
+        return addDays(start, -daysSinceMonday);
+    }
+
+    getWeekDates() {
+        const dates = [];
+        for (let i = 0; i < 7; i++) {
+            dates.push(addDays(this.weekStart, i));
+        }
+        return dates;
+    }
+
+    async open() {
+        this.isOpen = true;
+        app.showView('weekView');
+        await this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        app.showView('dashboardView');
+    }
+
+    async previousWeek() {
+        this.weekStart = addDays(this.weekStart, -7);
+        await this.render();
+    }
+
+    async nextWeek() {
+        this.weekStart = addDays(this.weekStart, 7);
+        await this.render();
+    }
+
+    /**
+     * Open the week containing a date, e.g. a day picked in the history
+     */
+    async openAt(date) {
+        this.weekStart = this.getWeekStart(date);
+        await this.open();
+    }
+
+    async goToThisWeek() {
+        this.weekStart = this.getWeekStart(new Date());
+        await this.render();
+    }
+
+    async refreshIfOpen() {
+        if (this.isOpen) {
+            await this.render();
+        }
+    }
+
+    async loadWeekData() {
+        await mealGenerator.loadData();
+
+        const [plan, history] = await Promise.all([
+            sheetsAPI.getPlan(),
+            sheetsAPI.getHistory()
+        ]);
+
+        // The week grid always shows the active profile
+        this.plan = plan.filter(row => mealGenerator.matchesProfile(row.profile));
+        this.history = history.filter(row => mealGenerator.matchesProfile(row.profile));
+    }
+
+    /**
+     * Rows of the grid: every schedule meal, plus any meal names from this week's
+     * data that are no longer in the schedule so nothing planned gets hidden
+     */
+    getMealNames(dateStrings) {
+        // A name can appear on several rows, e.g. a weekday and a weekend Lunch
+        const mealNames = [...new Set(mealGenerator.getScheduleForProfile().map(scheduledMeal => scheduledMeal.Name))];
+
+        const weekRows = [
+            ...this.plan.filter(row => dateStrings.includes(row.date)),
+            ...this.history.filter(row => dateStrings.includes(row.date))
+        ];
+        weekRows.forEach(row => {
+            if (row['meal name'] && !mealNames.includes(row['meal name'])) {
+                mealNames.push(row['meal name']);
+            }
+        });
+
+        app.meals.forEach(meal => {
+            if (!mealNames.includes(meal.name)) {
+                mealNames.push(meal.name);
+            }
+        });
+
+        return mealNames;
+    }
+
+    /**
+     * Whether the active profile's schedule has this meal on this day (see the Days column)
+     */
+    isMealScheduled(date, mealName) {
+        return mealGenerator.getScheduleForProfile(mealGenerator.activeProfile, date)
+            .some(scheduledMeal => scheduledMeal.Name === mealName);
+    }
+
+    /**
+     * Work out what to show for one day/meal cell:
+     * past days come from history, today from the current meals and future days from the plan.
+     * Cells with nothing in them are 'off' when the meal isn't scheduled that day. A scheduled
+     * past meal missing from history on a day that has other meals in it wasn't served, so it
+     * shows as skipped - history from before skips were recorded only has the completed meals.
+     */
+    getCell(date, mealName) {
+        const cell = this.getCellContents(date, mealName);
+        if (cell.status !== 'empty') return cell;
+
+        if (!this.isMealScheduled(date, mealName)) {
+            return { status: 'off', items: [] };
+        }
+        const dateString = formatDateString(date);
+        if (date < parseDateString(getTodayString()) && this.history.some(row => row.date === dateString)) {
+            return { status: 'skipped', items: [] };
+        }
+        return cell;
+    }
+
+    getCellContents(date, mealName) {
+        const dateString = formatDateString(date);
+        const today = parseDateString(getTodayString());
+
+        if (dateString === getTodayString()) {
+            const mealIndex = app.meals.findIndex(meal => meal.name === mealName);
+            if (mealIndex === -1) {
+                return { status: 'empty', items: [] };
+            }
+
+            const meal = app.meals[mealIndex];
+            return {
+                status: meal.status || 'pending',
+                items: meal.items,
+                mealIndex: mealIndex
+            };
+        }
+
+        if (date < today) {
+            const historyRow = this.history.find(row => row.date === dateString && row['meal name'] === mealName);
+            if (!historyRow) {
+                return { status: 'empty', items: [] };
+            }
+
+            return {
+                status: historyRow.status === 'skipped' ? 'skipped' : 'completed',
+                items: mealGenerator.planRowToMeal(historyRow).items
+            };
+        }
+
+        const planRow = this.plan.find(row => row.date === dateString && row['meal name'] === mealName);
+        if (!planRow) {
+            return { status: 'empty', items: [] };
+        }
+
+        return {
+            status: 'planned',
+            items: mealGenerator.planRowToMeal(planRow).items
+        };
+    }
+
+    async render() {
+        try {
+            app.showLoading('Loading week...');
+
+            await this.loadWeekData();
+
+            const dates = this.getWeekDates();
+            const dateStrings = dates.map(date => formatDateString(date));
+            const mealNames = this.getMealNames(dateStrings);
+
+            // Week label, e.g. "Oct 13 - Oct 19"
+            const labelOptions = { month: 'short', day: 'numeric' };
+            document.getElementById('weekLabel').textContent =
+                `${dates[0].toLocaleDateString('en-US', labelOptions)} - ${dates[6].toLocaleDateString('en-US', labelOptions)}`;
+
+            const grid = document.getElementById('weekGrid');
+            grid.innerHTML = '';
+
+            // Header row: empty corner, then one column per day
+            const corner = document.createElement('div');
+            corner.className = 'week-grid-corner';
+            grid.appendChild(corner);
+
+            dates.forEach((date, index) => {
+                const dayHeader = document.createElement('div');
+                dayHeader.className = 'week-day-header';
+                if (dateStrings[index] === getTodayString()) {
+                    dayHeader.classList.add('today');
+                }
+                dayHeader.innerHTML = `
+                    <span class="week-day-name">${date.toLocaleDateString('en-US', { weekday: 'short' })}</span>
+                    <span class="week-day-date">${date.getMonth() + 1}/${date.getDate()}</span>
+                `;
+                grid.appendChild(dayHeader);
+            });
+
+            // One row per meal
+            mealNames.forEach(mealName => {
+                const mealLabel = document.createElement('div');
+                mealLabel.className = 'week-meal-label';
+                mealLabel.textContent = mealName;
+                grid.appendChild(mealLabel);
+
+                dates.forEach(date => {
+                    const cell = this.getCell(date, mealName);
+                    grid.appendChild(this.renderCell(cell, date, mealName));
+                });
+            });
+
+            app.hideLoading();
+        } catch (error) {
+            console.error('Error rendering week view:', error);
+            app.hideLoading();
+
+            if (error.message && error.message.includes('Authentication required')) {
+                app.handleAuthError(error);
+            } else {
+                app.showError('Failed to load the week. Please try again.');
+            }
+        }
+    }
+
+    renderCell(cell, date, mealName) {
+        const cellElement = document.createElement('div');
+        cellElement.className = `week-cell ${cell.status}`;
+
+        if (cell.status === 'empty') {
+            cellElement.textContent = '—';
+            return cellElement;
+        }
+
+        if (cell.status === 'off') {
+            cellElement.title = `No ${mealName} on ${date.toLocaleDateString('en-US', { weekday: 'long' })}s`;
+            return cellElement;
+        }
+
+        const isEditable = cell.status === 'planned' || cell.status === 'pending';
+
+        cell.items.forEach((item, itemIndex) => {
+            const itemElement = document.createElement('div');
+            itemElement.className = 'week-cell-item';
+            itemElement.textContent = item.Item || item.name;
+
+            if (isEditable) {
+                itemElement.classList.add('editable');
+                itemElement.addEventListener('click', () => {
+                    this.openItemModal(cell, date, mealName, itemIndex);
+                });
+            }
+
+            cellElement.appendChild(itemElement);
+        });
+
+        if (cell.status === 'completed' || cell.status === 'skipped') {
+            const badge = document.createElement('div');
+            badge.className = `week-cell-status ${cell.status}`;
+            badge.textContent = cell.status === 'completed' ? '✓' : '✗';
+            cellElement.appendChild(badge);
+        }
+
+        return cellElement;
+    }
+
+    /**
+     * Open the shared category modal for an item in a cell. Today's meals are
+     * edited through the normal current-meal flow, planned meals through the plan.
+     */
+    openItemModal(cell, date, mealName, itemIndex) {
+        if (cell.mealIndex !== undefined) {
+            app.currentMealIndex = cell.mealIndex;
+            app.updateUI();
+
+            const formattedMeal = mealGenerator.formatMealForDisplay(app.meals[cell.mealIndex]);
+            app.openCategoryModal(formattedMeal.items[itemIndex], itemIndex);
+            return;
+        }
+
+        const formattedMeal = mealGenerator.formatMealForDisplay({ name: mealName, time: '', items: cell.items });
+        app.openCategoryModal(formattedMeal.items[itemIndex], itemIndex, null, {
+            date: formatDateString(date),
+            mealName: mealName
+        });
+    }
+
+    async replacePlannedItem(target, itemIndex, selectedItem) {
+        // Save the whole plan, not just the active profile's rows shown in the grid
+        const plannedMeals = (await sheetsAPI.getPlan()).map(row => mealGenerator.planRowToMeal(row));
+        const meal = plannedMeals.find(plannedMeal =>
+            plannedMeal.date === target.date && plannedMeal.name === target.mealName &&
+            mealGenerator.matchesProfile(plannedMeal.profile)
+        );
+
+        if (!meal) {
+            throw new Error(`Planned meal ${target.mealName} on ${target.date} not found`);
+        }
+
+        // Last Used is stamped when the day is promoted, not now
+        meal.items[itemIndex] = selectedItem;
+        await sheetsAPI.savePlan(plannedMeals);
+
+        console.log(`Replaced planned item in ${target.mealName} on ${target.date} with ${selectedItem.Item}`);
+    }
+}
+
+// Create global instance
+const weekView = new WeekView();